@@ -1,6 +1,7 @@
 /**
  * GitHub Repository Showcase Application
- * Modern, interactive web application for displaying GitHub repositories
+ * Modern, interactive web application for displaying GitHub repositories.
+ * Data loading, search, filtering and sorting come from RepositoryCore (repository-core.js).
  */
 
 // Browser compatibility: Define process if it doesn't exist
@@ -11,19 +12,24 @@ if (typeof process === 'undefined') {
   };
 }
 
-class GitHubShowcase {
+// Node (the unit tests) has no script tags, so load the base class pages get from repository-core.js
+if (typeof RepositoryCore === 'undefined' && typeof require === 'function') {
+  globalThis.RepositoryCore = require('./repository-core.js');
+}
+
+class GitHubShowcase extends RepositoryCore {
   constructor() {
+    super();
     this.state = {
-      repositories: [],
-      filteredRepositories: [],
-      searchTerm: '',
-      selectedLanguage: '',
-      sortBy: 'recent-likes',
-      sortOrder: 'desc',
+      ...this.state,
       isLoading: true,
+      isOffline: typeof navigator !== 'undefined' && navigator.onLine === false,
       languages: [],
       error: null,
-      languageCategory: 'recently' // 'popular' or 'recently'
+      groupBy: 'language', // See getGroupingOptions()
+      view: 'grid', // 'grid', 'list', 'table' (see getViewModes()) or 'dashboard'
+      theme: 'system', // 'system', 'light' or 'dark'
+      density: 'comfortable' // 'comfortable' or 'compact'
     };
 
     this.elements = {};
@@ -36,6 +42,70 @@ class GitHubShowcase {
     };
     this.intersectionObserver = null;
     this.mutationObserver = null;
+
+    // Versioned preferences persisted in localStorage
+    this.preferencesKey = 'awesome-github-repos:preferences';
+    this.preferencesVersion = 4;
+    this.preferences = null;
+
+    // Where this.annotations, personal notes, tags and ratings, are saved
+    this.annotationsKey = 'awesome-github-repos:annotations';
+    this.annotationsVersion = 1;
+
+    // Where this.collections, named collections independent of language, are saved
+    this.collectionsKey = 'awesome-github-repos:collections';
+    this.collectionsVersion = 1;
+
+    // Facet sidebar: options shown before "Show more", and per-facet UI state
+    this.facetOptionLimit = 8;
+    this.expandedFacets = new Set();
+    this.collapsedFacets = new Set();
+
+    // Windowed rendering of the repository grid
+    this.virtualScrollOptions = {
+      threshold: 150, // Smaller result sets are rendered in full
+      overscan: 2 // Rows kept rendered above and below the viewport
+    };
+    this.rowHeightEstimates = { header: 90, cards: 320 }; // Refined as rows are measured
+    this.gridLayout = null;
+    this.gridSpacers = null;
+    this.renderedNodes = new Map(); // Key -> { element, repo, signature } for nodes in the grid
+
+    // Repository detail drawer, deep linked as #repo=owner/name
+    this.detailRepository = null;
+    this.detailOpener = null;
+    this.detailPushedHistory = false;
+
+    // Dated copies of data.json written by scripts/fetch-stars.js --snapshot-dir
+    this.snapshotIndexUrl = 'snapshots/index.json';
+    this.snapshots = []; // { date, file }, newest first
+    this.snapshotCache = new Map(); // File -> Promise of normalized repositories
+    this.snapshotRange = { from: null, to: 'current' }; // Snapshot files, or 'current' for data.json
+    this.whatsNewItemLimit = 20; // Entries listed per change type before "and N more"
+    this.whatsNewRenderId = 0;
+
+    // Card sparklines drawn from the star history
+    this.sparklineSize = { width: 64, height: 18 };
+
+    // Statistics dashboard: bars per ranked chart and topics in the cloud
+    this.dashboardOptions = { maxBars: 10, maxTopics: 40 };
+
+    // Offline cache and background refresh of data.json, see sw.js
+    this.serviceWorkerUrl = 'sw.js';
+    this.dataUpdateTimer = null;
+
+    // Stars imported from other sources, kept in this browser and merged into data.json
+    this.importedKey = 'awesome-github-repos:imported';
+    this.importedVersion = 1;
+    this.importedRepositories = [];
+    this.rawData = null; // data.json as loaded, so imports can be merged again
+
+    // Exports of the current view; the Markdown heading links here like template/README.ejs
+    this.exportProfileUrl = 'https://github.com/tonngw';
+    this.exportComputedFields = [
+      'originalIndex', 'searchText', 'formattedStars', 'relativeTime', 'languageColor',
+      'starHistory', 'starTrend', 'health'
+    ];
   }
 
   /**
@@ -44,13 +114,19 @@ class GitHubShowcase {
   async init() {
     try {
       this.cacheElements();
+      this.restorePreferences();
       this.bindEvents();
       this.initializeAnimations();
       this.initializeAccessibility();
       this.initializeOptimizations();
+      this.registerServiceWorker();
       await this.loadData();
+      this.applyUrlState({ initial: true });
+      this.applyDetailFromUrl();
+      this.applyLaunchParams();
       this.render();
       this.initializeScrollAnimations();
+      this.loadSnapshotIndex();
     } catch (error) {
       console.error('Failed to initialize application:', error);
       this.handleError(error);
@@ -64,12 +140,16 @@ class GitHubShowcase {
     this.elements = {
       searchInput: document.getElementById('searchInput'),
       searchClear: document.getElementById('searchClear'),
+      searchError: document.getElementById('searchError'),
       languageFilter: document.getElementById('languageFilter'),
       sortSelect: document.getElementById('sortSelect'),
       repositoryGrid: document.getElementById('repositoryGrid'),
       loadingState: document.getElementById('loadingState'),
       emptyState: document.getElementById('emptyState'),
       errorState: document.getElementById('errorState'),
+      offlineState: document.getElementById('offlineState'),
+      offlineIndicator: document.getElementById('offlineIndicator'),
+      dropOverlay: document.getElementById('dropOverlay'),
       statsBar: document.getElementById('statsBar'),
       totalCount: document.getElementById('totalCount'),
       filteredCount: document.getElementById('filteredCount'),
@@ -79,6 +159,43 @@ class GitHubShowcase {
       quickFilters: document.getElementById('quickFilters'),
       quickFilterButtons: document.getElementById('quickFilterButtons'),
       categorizationButtons: document.querySelectorAll('.categorization-btn'),
+      hideArchived: document.getElementById('hideArchived'),
+      themeSelect: document.getElementById('themeSelect'),
+      densitySelect: document.getElementById('densitySelect'),
+      groupBySelect: document.getElementById('groupBySelect'),
+      viewSelect: document.getElementById('viewSelect'),
+      statsDashboard: document.getElementById('statsDashboard'),
+      repositoryView: document.getElementById('repositoryView'),
+      columnChooserGroup: document.getElementById('columnChooserGroup'),
+      columnChooserMenu: document.getElementById('columnChooserMenu'),
+      exportAnnotations: document.getElementById('exportAnnotations'),
+      importAnnotations: document.getElementById('importAnnotations'),
+      importAnnotationsInput: document.getElementById('importAnnotationsInput'),
+      collectionFilters: document.getElementById('collectionFilters'),
+      collectionFilterButtons: document.getElementById('collectionFilterButtons'),
+      exportCollections: document.getElementById('exportCollections'),
+      importCollections: document.getElementById('importCollections'),
+      importCollectionsInput: document.getElementById('importCollectionsInput'),
+      importStars: document.getElementById('importStars'),
+      importStarsInput: document.getElementById('importStarsInput'),
+      clearImported: document.getElementById('clearImported'),
+      exportFormat: document.getElementById('exportFormat'),
+      downloadExport: document.getElementById('downloadExport'),
+      copyExport: document.getElementById('copyExport'),
+      facetSidebar: document.getElementById('facetSidebar'),
+      facetGroups: document.getElementById('facetGroups'),
+      clearFacets: document.getElementById('clearFacets'),
+      repoDrawer: document.getElementById('repoDrawer'),
+      repoDrawerBackdrop: document.getElementById('repoDrawerBackdrop'),
+      repoDrawerTitle: document.getElementById('repoDrawerTitle'),
+      repoDrawerBody: document.getElementById('repoDrawerBody'),
+      repoDrawerClose: document.getElementById('repoDrawerClose'),
+      toggleWhatsNew: document.getElementById('toggleWhatsNew'),
+      whatsNewPanel: document.getElementById('whatsNewPanel'),
+      whatsNewFrom: document.getElementById('whatsNewFrom'),
+      whatsNewTo: document.getElementById('whatsNewTo'),
+      whatsNewBody: document.getElementById('whatsNewBody'),
+      whatsNewClose: document.getElementById('whatsNewClose'),
     };
   }
 
@@ -97,8 +214,45 @@ class GitHubShowcase {
 
     // Filter functionality
     this.elements.languageFilter.addEventListener('change', (e) => {
-      // this.handleLanguageFilter(e.target.value);
-      this.handleSearch(e.target.value);
+      this.handleLanguageFilter(e.target.value);
+    });
+
+    // Facet sidebar
+    this.elements.facetGroups?.addEventListener('change', (e) => {
+      const checkbox = e.target.closest('.facet-option input');
+      if (checkbox) {
+        this.toggleFacetValue(checkbox.getAttribute('data-facet'), checkbox.value, checkbox.checked);
+      }
+    });
+
+    this.elements.facetGroups?.addEventListener('click', (e) => {
+      const moreButton = e.target.closest('.facet-more');
+      if (moreButton) {
+        const facet = moreButton.getAttribute('data-facet');
+        if (!this.expandedFacets.delete(facet)) this.expandedFacets.add(facet);
+        this.renderFacets();
+        return;
+      }
+
+      const clearButton = e.target.closest('.facet-clear');
+      if (clearButton) {
+        this.clearFacet(clearButton.getAttribute('data-facet'));
+      }
+    });
+
+    // Toggle events do not bubble, so listen in the capture phase
+    this.elements.facetGroups?.addEventListener('toggle', (e) => {
+      const facet = e.target.getAttribute?.('data-facet');
+      if (!facet) return;
+      if (e.target.open) {
+        this.collapsedFacets.delete(facet);
+      } else {
+        this.collapsedFacets.add(facet);
+      }
+    }, true);
+
+    this.elements.clearFacets?.addEventListener('click', () => {
+      this.clearFacets();
     });
 
     // Sort functionality
@@ -106,6 +260,125 @@ class GitHubShowcase {
       this.handleSort(e.target.value);
     });
 
+    // Grouping functionality
+    this.elements.groupBySelect?.addEventListener('change', (e) => {
+      this.handleGroupBy(e.target.value);
+    });
+
+    // Card grid, simple list, compact table or statistics dashboard
+    this.elements.viewSelect?.addEventListener('change', (e) => {
+      this.handleView(e.target.value);
+    });
+
+    // Rows of the list and table views open the detail drawer; their links still navigate.
+    // Table headers sort by their column.
+    this.elements.repositoryView?.addEventListener('click', (e) => {
+      const sortButton = e.target.closest('[data-sort]');
+      if (sortButton) {
+        this.handleTableSort(sortButton.getAttribute('data-sort'));
+        return;
+      }
+
+      const item = e.target.closest('[data-repo-id]');
+      if (!item || e.target.closest('a')) return;
+      const repo = this.state.repositories.find(candidate => String(candidate.id) === item.getAttribute('data-repo-id'));
+      if (repo) this.openRepositoryDetail(repo);
+    });
+
+    // Arrow keys move between table rows and Enter opens the focused one
+    this.elements.repositoryView?.addEventListener('keydown', (e) => {
+      if (this.handleTableKeydown(e)) return;
+      if (e.key !== 'Enter' || !e.target.matches('tr[data-repo-id]')) return;
+
+      e.preventDefault();
+      const repo = this.state.repositories.find(candidate => String(candidate.id) === e.target.getAttribute('data-repo-id'));
+      if (repo) this.openRepositoryDetail(repo);
+    });
+
+    this.elements.columnChooserMenu?.addEventListener('change', () => {
+      const hiddenTableColumns = Array.from(this.elements.columnChooserMenu.querySelectorAll('input:not(:checked)'))
+        .map(input => input.value);
+      this.setState({ hiddenTableColumns });
+      this.render();
+    });
+
+    this.elements.statsDashboard?.addEventListener('click', (e) => {
+      const topicButton = e.target.closest('[data-topic]');
+      if (!topicButton) return;
+      const topic = topicButton.getAttribute('data-topic');
+      this.toggleFacetValue('topic', topic, !this.state.selectedTopics.includes(topic));
+    });
+
+    // Annotation export and import
+    this.elements.exportAnnotations?.addEventListener('click', () => {
+      this.exportAnnotations();
+    });
+
+    this.elements.importAnnotations?.addEventListener('click', () => {
+      this.elements.importAnnotationsInput.click();
+    });
+
+    this.elements.importAnnotationsInput?.addEventListener('change', (e) => {
+      const [file] = e.target.files;
+      if (file) this.importAnnotations(file);
+      e.target.value = '';
+    });
+
+    // Collection export and import
+    this.elements.exportCollections?.addEventListener('click', () => {
+      this.exportCollections();
+    });
+
+    this.elements.importCollections?.addEventListener('click', () => {
+      this.elements.importCollectionsInput.click();
+    });
+
+    this.elements.importCollectionsInput?.addEventListener('change', (e) => {
+      const [file] = e.target.files;
+      if (file) this.importCollections(file);
+      e.target.value = '';
+    });
+
+    this.elements.hideArchived?.addEventListener('change', (e) => {
+      this.setState({ hideArchived: e.target.checked });
+      this.render();
+    });
+
+    // Stars imported from other sources
+    this.elements.importStars?.addEventListener('click', () => {
+      this.elements.importStarsInput.click();
+    });
+
+    this.elements.importStarsInput?.addEventListener('change', (e) => {
+      const [file] = e.target.files;
+      if (file) this.importStars(file);
+      e.target.value = '';
+    });
+
+    this.elements.clearImported?.addEventListener('click', () => {
+      this.clearImportedStars();
+    });
+
+    // Export of the current view
+    this.elements.downloadExport?.addEventListener('click', () => {
+      this.exportView(this.elements.exportFormat.value);
+    });
+
+    this.elements.copyExport?.addEventListener('click', () => {
+      this.exportView(this.elements.exportFormat.value, { copy: true });
+    });
+
+    // Display preferences
+    this.elements.themeSelect?.addEventListener('change', (e) => {
+      this.setState({ theme: e.target.value });
+      this.applyDisplayPreferences();
+    });
+
+    this.elements.densitySelect?.addEventListener('change', (e) => {
+      this.setState({ density: e.target.value });
+      this.applyDisplayPreferences();
+    });
+
     // Reset filters
     this.elements.resetFilters.addEventListener('click', () => {
       this.resetFilters();
@@ -127,6 +400,136 @@ class GitHubShowcase {
     document.addEventListener('keydown', (e) => {
       this.handleKeyboardNavigation(e);
     });
+
+    // Repository detail drawer
+    this.elements.repoDrawerClose?.addEventListener('click', () => {
+      this.closeRepositoryDetail();
+    });
+
+    this.elements.repoDrawerBackdrop?.addEventListener('click', () => {
+      this.closeRepositoryDetail();
+    });
+
+    this.elements.repoDrawerBody?.addEventListener('click', (e) => {
+      const copyButton = e.target.closest('.clone-copy-btn');
+      if (copyButton && this.detailRepository) {
+        this.copyToClipboard(this.detailRepository[copyButton.getAttribute('data-clone')], 'Clone URL copied');
+      }
+    });
+
+    // What's new panel
+    this.elements.toggleWhatsNew?.addEventListener('click', () => {
+      this.toggleWhatsNew();
+    });
+
+    this.elements.whatsNewClose?.addEventListener('click', () => {
+      this.toggleWhatsNew(false);
+    });
+
+    [this.elements.whatsNewFrom, this.elements.whatsNewTo].forEach(select => {
+      select?.addEventListener('change', () => {
+        this.snapshotRange = {
+          from: this.elements.whatsNewFrom.value,
+          to: this.elements.whatsNewTo.value
+        };
+        this.renderWhatsNew();
+      });
+    });
+
+    this.elements.whatsNewBody?.addEventListener('click', (e) => {
+      const button = e.target.closest('[data-repo-id]');
+      if (!button) return;
+      const repo = this.state.repositories.find(item => String(item.id) === button.getAttribute('data-repo-id'));
+      if (repo) this.openRepositoryDetail(repo);
+    });
+
+    // Back/forward navigation restores the view from the URL
+    window.addEventListener('popstate', () => {
+      this.applyUrlState();
+      this.applyDetailFromUrl();
+      this.render();
+    });
+
+    // Editing the #repo= link by hand opens that repository
+    window.addEventListener('hashchange', () => {
+      this.applyDetailFromUrl();
+    });
+
+    // Dropping a JSON or JSON Lines file shows it in place of the configured data
+    const isFileDrag = e => Array.from(e.dataTransfer?.types || []).includes('Files');
+    document.addEventListener('dragover', (e) => {
+      if (!isFileDrag(e)) return;
+      e.preventDefault();
+      this.elements.dropOverlay.hidden = false;
+    });
+    document.addEventListener('dragleave', (e) => {
+      if (!e.relatedTarget) this.elements.dropOverlay.hidden = true;
+    });
+    document.addEventListener('drop', (e) => {
+      if (!isFileDrag(e)) return;
+      e.preventDefault();
+      this.elements.dropOverlay.hidden = true;
+
+      const file = e.dataTransfer.files[0];
+      if (file) this.useDataSources([{ label: '', type: 'file', url: file.name, file }], file.name);
+    });
+
+    // Connection changes toggle the offline indicator and retry a failed load
+    window.addEventListener('online', () => this.handleConnectionChange(true));
+    window.addEventListener('offline', () => this.handleConnectionChange(false));
+  }
+
+  /**
+   * Register sw.js and listen for newer data it finds in the background
+   */
+  registerServiceWorker() {
+    if (!('serviceWorker' in navigator) || !window.isSecureContext) return;
+
+    navigator.serviceWorker.addEventListener('message', (event) => {
+      this.handleServiceWorkerMessage(event.data);
+    });
+    navigator.serviceWorker.register(this.serviceWorkerUrl).catch(error => {
+      console.warn('Service worker registration failed:', error);
+    });
+  }
+
+  /**
+   * Reload the data sources when the service worker has cached a newer copy of one
+   */
+  handleServiceWorkerMessage(message) {
+    if (message?.type !== 'data-updated' || !this.rawData) return;
+
+    const updated = this.dataSources.some(source => new URL(source.url, window.location.href).href === message.url);
+    if (!updated) return;
+
+    // Several sources can change in the same visit; reload once
+    clearTimeout(this.dataUpdateTimer);
+    this.dataUpdateTimer = setTimeout(() => this.reloadData(), 250);
+  }
+
+  /**
+   * Replace the repositories with freshly loaded data, keeping filters and imports
+   */
+  async reloadData() {
+    try {
+      this.rawData = await this.loadDataSources();
+      this.refreshRepositories();
+      this.showToast('Newer repository data loaded', 'success');
+    } catch (error) {
+      console.warn('Failed to reload repository data:', error);
+    }
+  }
+
+  /**
+   * Track the connection and retry loading once it comes back
+   */
+  handleConnectionChange(online) {
+    this.setState({ isOffline: !online });
+    this.render();
+
+    if (online && this.state.error) {
+      this.retry();
+    }
   }
 
   /**
@@ -184,82 +587,19 @@ class GitHubShowcase {
   }
 
   /**
-   * Process raw repository data into normalized format
+   * Show the repositories from other data sources in place of the configured ones,
+   * keeping filters and imported stars
    */
-  processRepositoryData(data) {
-    const repositories = [];
-    let originalIndex = 0;
-    const languageOrder = {}; // Track the order languages appear in data.json
-    let languageOrderIndex = 0;
-
-    // Handle both object format (grouped by language) and array format
-    if (Array.isArray(data)) {
-      repositories.push(...data);
-    } else if (typeof data === 'object') {
-      // Flatten repositories from language groups while preserving order
-      Object.keys(data).forEach(language => {
-        // Track language order for "Recently" categorization
-        if (!languageOrder[language]) {
-          languageOrder[language] = languageOrderIndex++;
-        }
-
-        const languageRepos = data[language];
-        if (Array.isArray(languageRepos)) {
-          repositories.push(...languageRepos);
-        }
-      });
+  async useDataSources(sources, name) {
+    try {
+      this.rawData = await this.loadDataSources(sources);
+      this.setState({ error: null, isLoading: false });
+      this.refreshRepositories();
+      this.showToast(`Showing ${this.state.repositories.length} repositories from ${name}`, 'success');
+    } catch (error) {
+      console.error('Failed to load data source:', error);
+      this.showToast(`Could not read ${name}: ${error.message}`, 'error', 5000);
     }
-
-    // Store language order for later use
-    this.languageOrder = languageOrder;
-
-    // Normalize and validate repository data
-    return repositories
-      .filter(repo => repo && repo.id && repo.name)
-      .map(repo => ({
-        ...repo,
-        // Ensure required fields have defaults
-        description: repo.description || '',
-        stargazers_count: repo.stargazers_count || 0,
-        language: repo.language || 'Unknown',
-        topics: Array.isArray(repo.topics) ? repo.topics : [],
-        created_at: repo.created_at || new Date().toISOString(),
-        updated_at: repo.updated_at || new Date().toISOString(),
-        // Add computed fields
-        originalIndex: originalIndex++, // Track original order for "Recent Likes" sorting
-        searchText: this.createSearchText(repo),
-        formattedStars: this.formatNumber(repo.stargazers_count || 0),
-        relativeTime: this.getRelativeTime(repo.updated_at),
-        languageColor: this.getLanguageColor(repo.language)
-      }))
-      .sort((a, b) => b.stargazers_count - a.stargazers_count); // Default sort by stars
-  }
-
-  /**
-   * Create searchable text from repository data
-   */
-  createSearchText(repo) {
-    return [
-      repo.name,
-      repo.full_name,
-      repo.description,
-      repo.language,
-      ...(repo.topics || []),
-      repo.owner?.login
-    ].filter(Boolean).join(' ').toLowerCase();
-  }
-
-  /**
-   * Extract unique languages from repositories
-   */
-  extractLanguages(repositories) {
-    const languageSet = new Set();
-    repositories.forEach(repo => {
-      if (repo.language && repo.language !== 'Unknown') {
-        languageSet.add(repo.language);
-      }
-    });
-    return Array.from(languageSet).sort();
   }
 
   /**
@@ -320,7 +660,8 @@ class GitHubShowcase {
    * Handle language filter change with analytics
    */
   handleLanguageFilter(language) {
-    this.setState({ selectedLanguage: language });
+    this.setState({ selectedLanguages: language ? [language] : [] });
+    this.syncLanguageFilter();
     this.render();
 
     // Track filter usage
@@ -382,11 +723,13 @@ class GitHubShowcase {
       button.className = 'quick-filter-btn';
       button.setAttribute('data-language', language);
       button.innerHTML = `
-        <span class="language-dot ${language.toLowerCase()}" style="background-color: ${this.getLanguageColor(language)}"></span>
-        <span>${language}</span>
+        <span class="language-dot ${this.escapeAttribute(language.toLowerCase())}" style="background-color: ${this.escapeAttribute(this.getLanguageColor(language))}"></span>
+        <span>${this.escapeHtml(language)}</span>
         <span class="quick-filter-count">${languageCounts[language] || 0}</span>
       `;
 
+      button.classList.toggle('active', this.state.selectedLanguages.includes(language));
+
       button.addEventListener('click', () => {
         this.handleQuickFilter(language);
       });
@@ -419,660 +762,3935 @@ class GitHubShowcase {
    * Update application state
    */
   setState(newState) {
-    this.state = { ...this.state, ...newState };
+    super.setState(newState);
 
-    // Update filtered repositories when relevant state changes
-    if (newState.hasOwnProperty('repositories') ||
-      newState.hasOwnProperty('searchTerm') ||
-      newState.hasOwnProperty('selectedLanguage')) {
-      this.updateFilteredRepositories();
+    // Mirror shareable state in the address bar
+    if (Object.keys(this.getUrlStateParams()).some(key => newState.hasOwnProperty(key))) {
+      this.updateUrl(newState);
     }
 
-    // Sort repositories when sort criteria changes
-    if (newState.hasOwnProperty('sortBy') || newState.hasOwnProperty('sortOrder')) {
-      this.sortRepositories();
+    // Remember preferences chosen by the user (not ones arriving through a shared link)
+    const preferenceKeys = Object.keys(this.getDefaultPreferences());
+    if (this.preferences && !this.isApplyingUrlState &&
+      preferenceKeys.some(key => newState.hasOwnProperty(key))) {
+      this.savePreferences(newState);
     }
   }
 
   /**
-   * Update filtered repositories based on current filters
+   * Default values for every persisted preference
+   */
+  getDefaultPreferences() {
+    return {
+      sortBy: 'relevance',
+      languageCategory: 'recently',
+      groupBy: 'language',
+      selectedLanguages: [],
+      hideArchived: false,
+      theme: 'system',
+      density: 'comfortable',
+      hiddenTableColumns: ['description']
+    };
+  }
+
+  /**
+   * Migrations keyed by the version they upgrade stored preferences to
+   */
+  getPreferenceMigrations() {
+    return {
+      // v1: first versioned format, keeps recognised keys from unversioned data
+      1: (values) => {
+        const keys = ['sortBy', 'languageCategory', 'groupBy', 'selectedLanguage', 'theme', 'density'];
+        const migrated = {};
+        keys.forEach(key => {
+          if (typeof values[key] === 'string') migrated[key] = values[key];
+        });
+        return migrated;
+      },
+      // v2: collections moved from the language section order to the group-by mode
+      2: (values) => {
+        if (values.languageCategory !== 'collections') return values;
+        return { ...values, languageCategory: 'recently', groupBy: 'collection' };
+      },
+      // v3: the language filter became a multi-select facet
+      3: (values) => {
+        const { selectedLanguage, ...rest } = values;
+        return { ...rest, selectedLanguages: selectedLanguage ? [selectedLanguage] : [] };
+      },
+      // v4: "Best match" became the default sort; without a query it still lists recent likes
+      4: (values) => (values.sortBy === 'recent-likes' ? { ...values, sortBy: 'relevance' } : values)
+    };
+  }
+
+  /**
+   * Load preferences from localStorage, migrating older formats
    */
-  updateFilteredRepositories() {
-    let filtered = [...this.state.repositories];
+  loadPreferences() {
+    const defaults = this.getDefaultPreferences();
+    let stored = null;
 
-    // Apply search filter with advanced search
-    if (this.state.searchTerm) {
-      filtered = this.performAdvancedSearch(filtered, this.state.searchTerm);
+    try {
+      const raw = window.localStorage.getItem(this.preferencesKey);
+      stored = raw ? JSON.parse(raw) : null;
+    } catch (error) {
+      console.warn('Failed to read saved preferences:', error);
     }
 
-    // Apply language filter
-    if (this.state.selectedLanguage) {
-      filtered = filtered.filter(repo =>
-        repo.language === this.state.selectedLanguage
-      );
+    if (!stored || typeof stored !== 'object') return defaults;
+
+    const storedVersion = Number.isInteger(stored.version) ? stored.version : 0;
+    const values = this.migratePreferences(stored);
+
+    const preferences = { ...defaults, ...this.validatePreferences(values) };
+
+    // Persist the upgraded format so migrations run only once
+    if (storedVersion !== this.preferencesVersion) {
+      this.writePreferences(preferences);
     }
 
-    this.state.filteredRepositories = filtered;
-    this.sortRepositories();
+    return preferences;
   }
 
   /**
-   * Sort repositories based on current sort criteria
+   * Upgrade stored preferences to the current version
    */
-  sortRepositories() {
-    const { sortBy } = this.state;
+  migratePreferences(stored) {
+    let version = Number.isInteger(stored.version) ? stored.version : 0;
+    let values = version === 0 ? stored : (stored.values || {});
 
-    this.state.filteredRepositories.sort((a, b) => {
-      let comparison = 0;
+    // Written by a newer version of the app; fall back to defaults
+    if (version > this.preferencesVersion) return {};
 
-      switch (sortBy) {
-        case 'stars':
-          comparison = b.stargazers_count - a.stargazers_count;
-          break;
-        case 'recent-likes':
-          // Sort by original order in data.json (recent likes order)
-          comparison = (a.originalIndex || 0) - (b.originalIndex || 0);
-          break;
-        case 'stars-asc':
-          comparison = a.stargazers_count - b.stargazers_count;
-          break;
-        case 'name':
-          comparison = a.name.localeCompare(b.name, undefined, { sensitivity: 'base' });
-          break;
-        case 'name-desc':
-          comparison = b.name.localeCompare(a.name, undefined, { sensitivity: 'base' });
-          break;
-        case 'updated':
-          comparison = new Date(b.updated_at) - new Date(a.updated_at);
-          break;
-        case 'created':
-          comparison = new Date(b.created_at) - new Date(a.created_at);
-          break;
-        default:
-          // Default to stars descending
-          comparison = b.stargazers_count - a.stargazers_count;
-      }
+    const migrations = this.getPreferenceMigrations();
+    while (version < this.preferencesVersion) {
+      version++;
+      values = migrations[version](values);
+    }
 
-      return comparison;
-    });
+    return values;
   }
 
   /**
-   * Handle sort change with enhanced logic
+   * Drop preference values the UI cannot represent
    */
-  handleSort(sortBy) {
-    this.setState({ sortBy });
-    this.render();
+  validatePreferences(values) {
+    const allowed = {
+      languageCategory: ['recently', 'popular'],
+      groupBy: Object.keys(this.getGroupingOptions()),
+      theme: ['system', 'light', 'dark'],
+      density: ['comfortable', 'compact']
+    };
 
-    // Track sorting usage
-    console.log('Sort applied:', sortBy);
+    if (this.elements.sortSelect) {
+      allowed.sortBy = Array.from(this.elements.sortSelect.options).map(option => option.value);
+    }
 
-    // Add visual feedback
-    this.addSortFeedback(sortBy);
+    const defaults = this.getDefaultPreferences();
+    const valid = {};
+    Object.entries(values).forEach(([key, value]) => {
+      if (Array.isArray(defaults[key])) {
+        if (Array.isArray(value) && value.every(item => typeof item === 'string')) {
+          valid[key] = value;
+        }
+        return;
+      }
+
+      if (typeof defaults[key] === 'boolean') {
+        if (typeof value === 'boolean') valid[key] = value;
+        return;
+      }
+
+      if (typeof value !== 'string') return;
+      if (allowed[key] && !allowed[key].includes(value)) return;
+      valid[key] = value;
+    });
+
+    return valid;
   }
 
   /**
-   * Add visual feedback for sorting
+   * Merge changed preferences and persist them
    */
-  addSortFeedback(sortBy) {
-    const sortSelect = this.elements.sortSelect;
-    sortSelect.classList.add('sorting');
+  savePreferences(changes) {
+    const updates = {};
+    Object.keys(this.getDefaultPreferences()).forEach(key => {
+      if (changes.hasOwnProperty(key)) updates[key] = changes[key];
+    });
 
-    setTimeout(() => {
-      sortSelect.classList.remove('sorting');
-    }, 300);
+    this.preferences = { ...this.preferences, ...updates };
+    this.writePreferences(this.preferences);
   }
 
   /**
-   * Get sort display name for UI
+   * Write preferences to localStorage in the versioned format
    */
-  getSortDisplayName(sortBy) {
-    const sortNames = {
-      'stars': 'Most Stars',
-      'stars-asc': 'Least Stars',
-      'name': 'Name A-Z',
-      'name-desc': 'Name Z-A',
-      'updated': 'Recently Updated',
-      'created': 'Recently Created'
-    };
-
-    return sortNames[sortBy] || 'Most Stars';
+  writePreferences(preferences) {
+    try {
+      window.localStorage.setItem(this.preferencesKey, JSON.stringify({
+        version: this.preferencesVersion,
+        values: preferences
+      }));
+    } catch (error) {
+      console.warn('Failed to save preferences:', error);
+    }
   }
 
   /**
-   * Handle search input with advanced features
+   * Load saved preferences into state before the first render
    */
-  handleSearch(searchTerm) {
-    // Clear existing debounce timer
-    if (this.debounceTimer) {
-      clearTimeout(this.debounceTimer);
-    }
+  restorePreferences() {
+    this.preferences = this.loadPreferences();
 
-    // Update search clear button visibility
-    this.elements.searchClear.classList.toggle('visible', searchTerm.length > 0);
+    const { theme, density, hiddenTableColumns } = this.preferences;
+    this.setState({ theme, density, hiddenTableColumns });
+    this.applyDisplayPreferences();
+  }
 
-    // Show immediate feedback for empty search
-    if (searchTerm.trim() === '') {
-      this.setState({ searchTerm: '' });
-      this.render();
-      return;
+  /**
+   * Forget saved preferences and return to the defaults
+   */
+  resetPreferences() {
+    try {
+      window.localStorage.removeItem(this.preferencesKey);
+    } catch (error) {
+      console.warn('Failed to clear saved preferences:', error);
     }
 
-    // Add loading indicator for search
-    this.elements.searchInput.classList.add('searching');
-
-    // Reduced debounce time for better responsiveness
-    this.debounceTimer = setTimeout(() => {
-      this.setState({ searchTerm: searchTerm.trim() });
-      this.elements.searchInput.classList.remove('searching');
-      this.render();
+    this.preferences = this.getDefaultPreferences();
 
-      // Track search analytics (if needed)
-      this.trackSearch(searchTerm.trim());
-    }, 200);
+    const { theme, density, hiddenTableColumns } = this.preferences;
+    this.state = { ...this.state, theme, density, hiddenTableColumns };
+    this.applyDisplayPreferences();
   }
 
   /**
-   * Advanced search with multiple criteria
+   * Apply theme and density to the document and their controls, and table columns to
+   * the column chooser
    */
-  performAdvancedSearch(repositories, searchTerm) {
-    if (!searchTerm) return repositories;
-
-    const terms = searchTerm.toLowerCase().split(/\s+/).filter(term => term.length > 0);
-
-    return repositories.filter(repo => {
-      // Calculate relevance score
-      let score = 0;
-      const searchableText = repo.searchText;
+  applyDisplayPreferences() {
+    const { theme, density } = this.state;
+    const root = document.documentElement;
 
-      // Check if all terms are present
-      const hasAllTerms = terms.every(term => searchableText.includes(term));
-      if (!hasAllTerms) return false;
+    root.setAttribute('data-theme', theme);
+    root.setAttribute('data-density', density);
 
-      // Boost score for exact matches in important fields
-      terms.forEach(term => {
-        if (repo.name.toLowerCase().includes(term)) score += 10;
-        if (repo.description.toLowerCase().includes(term)) score += 5;
-        if (repo.topics.some(topic => topic.toLowerCase().includes(term))) score += 8;
-        if (repo.language.toLowerCase().includes(term)) score += 6;
-        if (repo.owner.login.toLowerCase().includes(term)) score += 4;
-      });
-
-      // Store score for potential sorting
-      repo.searchScore = score;
-      return score > 0;
-    }).sort((a, b) => (b.searchScore || 0) - (a.searchScore || 0));
+    if (this.elements.themeSelect) this.elements.themeSelect.value = theme;
+    if (this.elements.densitySelect) this.elements.densitySelect.value = density;
+    this.populateColumnChooser();
   }
 
   /**
-   * Track search for analytics (placeholder)
+   * List the table columns that can be hidden, checked when shown
    */
-  trackSearch(searchTerm) {
-    // This could be used to track popular searches
-    console.log('Search performed:', searchTerm);
+  populateColumnChooser() {
+    if (!this.elements.columnChooserMenu) return;
+
+    this.elements.columnChooserMenu.innerHTML = Object.entries(this.getTableColumns())
+      .filter(([, column]) => column.hideable !== false)
+      .map(([key, column]) => `
+        <label class="column-chooser-option">
+          <input type="checkbox" value="${this.escapeAttribute(key)}"${this.state.hiddenTableColumns.includes(key) ? '' : ' checked'}>
+          ${this.escapeHtml(column.label)}
+        </label>
+      `).join('');
   }
 
   /**
-   * Clear search input and filters
+   * Normalize annotation input into { note, tags, rating, updatedAt }
    */
-  clearSearch() {
-    this.elements.searchInput.value = '';
-    this.elements.searchClear.classList.remove('visible');
-    this.setState({ searchTerm: '' });
-    this.render();
+  normalizeAnnotation(raw = {}) {
+    const rawTags = Array.isArray(raw.tags) ? raw.tags : String(raw.tags || '').split(',');
+    const tags = rawTags
+      .map(tag => String(tag).trim().toLowerCase())
+      .filter(Boolean);
+    const rating = Math.round(Number(raw.rating) || 0);
+
+    return {
+      ...(raw.full_name ? { full_name: String(raw.full_name) } : {}),
+      note: String(raw.note || '').trim(),
+      tags: Array.from(new Set(tags)),
+      rating: Math.min(5, Math.max(0, rating)),
+      updatedAt: raw.updatedAt || null
+    };
   }
 
   /**
-   * Handle language filter change
+   * Parse an annotations file or stored payload into a map keyed by repository id
    */
-  handleLanguageFilter(language) {
-    this.setState({ selectedLanguage: language });
-    this.render();
+  parseAnnotationsPayload(payload) {
+    if (!payload || typeof payload !== 'object') {
+      throw new Error('Annotations must be a JSON object');
+    }
 
-    // this.showToast(`🎉 Found ${resultCount} repositories matching "${searchTerm.trim()}"`, 'success', 1000);
+    if (Number.isInteger(payload.version) && payload.version > this.annotationsVersion) {
+      throw new Error(`Annotations version ${payload.version} is newer than this app supports`);
+    }
+
+    // Accept both the versioned export format and a bare id -> annotation map
+    const entries = payload.annotations && typeof payload.annotations === 'object'
+      ? payload.annotations
+      : payload;
+
+    // Ids are not always numeric, e.g. "imported:<name>" or a Gitea "host:id"
+    const annotations = {};
+    Object.entries(entries).forEach(([repoId, raw]) => {
+      if (!raw || typeof raw !== 'object' || !repoId) return;
+
+      const annotation = this.normalizeAnnotation(raw);
+      if (annotation.note || annotation.tags.length > 0 || annotation.rating > 0) {
+        annotations[repoId] = annotation;
+      }
+    });
+
+    return annotations;
   }
 
   /**
-   * Handle sort change
+   * Merge two annotation maps, keeping the most recently updated entry
    */
-  handleSort(sortBy) {
-    this.setState({ sortBy });
-    this.render();
+  mergeAnnotations(base, incoming) {
+    const merged = { ...base };
+
+    Object.entries(incoming).forEach(([repoId, annotation]) => {
+      const existing = merged[repoId];
+      const isNewer = !existing || !existing.updatedAt || !annotation.updatedAt ||
+        annotation.updatedAt >= existing.updatedAt;
+
+      if (isNewer) merged[repoId] = annotation;
+    });
+
+    return merged;
   }
 
   /**
-   * Reset all filters
+   * Load committed annotations.json and overlay the ones saved in this browser
    */
-  resetFilters() {
-    this.elements.searchInput.value = '';
-    this.elements.searchClear.classList.remove('visible');
-    this.elements.languageFilter.value = '';
-    this.elements.sortSelect.value = 'recent-likes';
+  async loadAnnotations() {
+    let committed = {};
 
-    // Reset quick filter buttons
-    this.elements.quickFilterButtons.querySelectorAll('.quick-filter-btn').forEach(btn => {
-      btn.classList.remove('active');
-    });
+    try {
+      const response = await fetch('annotations.json');
+      if (response.ok) {
+        committed = this.parseAnnotationsPayload(await response.json());
+      }
+    } catch (error) {
+      console.warn('Failed to load annotations.json:', error);
+    }
 
-    // Reset categorization to "Recently"
-    this.elements.categorizationButtons.forEach(btn => {
-      btn.classList.toggle('active', btn.getAttribute('data-category') === 'recently');
-    });
+    let local = {};
+    try {
+      const raw = window.localStorage.getItem(this.annotationsKey);
+      local = raw ? this.parseAnnotationsPayload(JSON.parse(raw)) : {};
+    } catch (error) {
+      console.warn('Failed to read saved annotations:', error);
+    }
 
-    this.setState({
-      searchTerm: '',
-      selectedLanguage: '',
-      sortBy: 'recent-likes',
-      languageCategory: 'recently'
+    this.annotations = this.mergeAnnotations(committed, local);
+  }
+
+  /**
+   * Persist annotations to localStorage
+   */
+  writeAnnotations() {
+    try {
+      window.localStorage.setItem(this.annotationsKey, JSON.stringify(this.getAnnotationsPayload()));
+    } catch (error) {
+      console.warn('Failed to save annotations:', error);
+      this.showToast('Could not save annotations in this browser', 'error');
+    }
+  }
+
+  /**
+   * Versioned annotations payload used for storage and export
+   */
+  getAnnotationsPayload() {
+    return {
+      version: this.annotationsVersion,
+      annotations: this.annotations
+    };
+  }
+
+  /**
+   * Update the annotation for a repository and refresh search and cards
+   */
+  setAnnotation(repo, changes) {
+    const annotation = this.normalizeAnnotation({
+      ...this.getAnnotation(repo.id),
+      ...changes,
+      full_name: repo.full_name,
+      updatedAt: new Date().toISOString()
     });
 
-    // Update quick filters to reflect the reset categorization
-    this.populateQuickFilters();
+    if (annotation.note || annotation.tags.length > 0 || annotation.rating > 0) {
+      this.annotations[repo.id] = annotation;
+    } else {
+      delete this.annotations[repo.id];
+    }
+
+    this.writeAnnotations();
+    this.refreshAnnotatedRepositories();
+  }
+
+  /**
+   * Rebuild search text and index after annotations change, then re-render
+   */
+  refreshAnnotatedRepositories() {
+    const { repositories } = this.state;
+
+    repositories.forEach(repo => {
+      repo.searchText = this.createSearchText(repo);
+    });
+    this.searchIndex = this.buildSearchIndex(repositories);
+    if (this.searchCache) this.searchCache.clear();
 
+    this.setState({ repositories });
     this.render();
   }
 
   /**
-   * Retry loading data
+   * Download annotations as annotations.json for committing next to data.json
    */
-  async retry() {
+  exportAnnotations() {
+    const count = Object.keys(this.annotations).length;
+    if (count === 0) {
+      this.showToast('There are no annotations to export yet', 'info');
+      return;
+    }
+
+    const payload = {
+      ...this.getAnnotationsPayload(),
+      exportedAt: new Date().toISOString()
+    };
+
+    this.downloadFile('annotations.json', JSON.stringify(payload, null, 2), 'application/json');
+    this.showToast(`Exported ${count} annotations`, 'success');
+  }
+
+  /**
+   * Merge annotations from an exported annotations.json file
+   */
+  async importAnnotations(file) {
     try {
-      await this.loadData();
-      this.render();
+      const imported = this.parseAnnotationsPayload(JSON.parse(await file.text()));
+      const count = Object.keys(imported).length;
+
+      this.annotations = this.mergeAnnotations(this.annotations, imported);
+      this.writeAnnotations();
+      this.refreshAnnotatedRepositories();
+
+      this.showToast(`Imported ${count} annotations`, 'success');
     } catch (error) {
-      // Error is already handled in loadData
+      console.error('Failed to import annotations:', error);
+      this.showToast(`Could not import annotations: ${error.message}`, 'error', 5000);
     }
   }
 
   /**
-   * Handle categorization change
+   * Offer text content as a file download
    */
-  handleCategorization(category) {
-    // Update active state of categorization buttons
-    this.elements.categorizationButtons.forEach(btn => {
-      btn.classList.toggle('active', btn.getAttribute('data-category') === category);
-    });
+  downloadFile(filename, content, mimeType) {
+    const blob = new Blob([content], { type: mimeType });
+    const url = URL.createObjectURL(blob);
+
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  }
 
-    this.setState({ languageCategory: category });
+  /**
+   * Export formats for the current view, each serializing [groupTitle, repos] pairs
+   */
+  getExportFormats() {
+    return {
+      markdown: { label: 'Markdown', extension: 'md', mimeType: 'text/markdown', serialize: groups => this.toMarkdown(groups) },
+      csv: { label: 'CSV', extension: 'csv', mimeType: 'text/csv', serialize: groups => this.toCsv(groups) },
+      json: { label: 'JSON', extension: 'json', mimeType: 'application/json', serialize: groups => this.toExportJson(groups) },
+      opml: { label: 'OPML', extension: 'opml', mimeType: 'text/x-opml', serialize: groups => this.toOpml(groups) },
+      bibtex: { label: 'BibTeX', extension: 'bib', mimeType: 'application/x-bibtex', serialize: groups => this.toBibtex(groups) }
+    };
+  }
 
-    // Update quick filters to reflect the new categorization
-    this.populateQuickFilters();
+  /**
+   * Download the filtered and sorted repositories, or copy them to the clipboard
+   */
+  exportView(formatId, { copy = false } = {}) {
+    const format = this.getExportFormats()[formatId];
+    const repos = this.state.filteredRepositories;
+    if (!format || repos.length === 0) {
+      this.showToast('Nothing to export', 'error');
+      return;
+    }
 
-    this.render();
+    // Same sections as the language grouping, in the same order
+    const groups = Object.entries(this.groupRepositoriesByLanguage(repos));
+    const content = format.serialize(groups);
 
-    // Track categorization usage
-    console.log('Language categorization changed:', category);
+    if (copy) {
+      this.copyToClipboard(content, `Copied ${repos.length} repositories as ${format.label}`);
+      return;
+    }
+
+    const date = new Date().toISOString().slice(0, 10);
+    this.downloadFile(`awesome-github-repos-${date}.${format.extension}`, content, format.mimeType);
+    this.showToast(`Exported ${repos.length} repositories as ${format.label}`, 'success');
   }
 
   /**
-   * Handle application errors
+   * Awesome-list Markdown in the layout of template/README.ejs, with a linked table of contents
    */
-  handleError(error) {
-    this.setState({
-      error: error.message || 'An unexpected error occurred',
-      isLoading: false
+  toMarkdown(groups) {
+    const usedAnchors = new Map();
+    const anchors = groups.map(([title]) => this.getMarkdownAnchor(title, usedAnchors));
+    const singleLine = text => String(text || '').replace(/\s+/g, ' ').trim();
+
+    const lines = [
+      `# [![Awesome](https://cdn.rawgit.com/sindresorhus/awesome/d7305f38d29fed78fa85652e3a63e154dd8e8829/media/badge.svg)](${this.exportProfileUrl}) [![Awesome](https://badgen.net/static/GitHub/Repos/blue)](${this.exportProfileUrl})`,
+      '',
+      '## Table of Contents',
+      '',
+      ...groups.map(([title], index) => `*   [${title}](#${anchors[index]})`),
+      ''
+    ];
+
+    groups.forEach(([title, repos]) => {
+      lines.push(`## ${title}`, '');
+      repos.forEach(repo => {
+        const description = singleLine(repo.description);
+        lines.push(`*   [${repo.full_name}](${repo.html_url})${description ? ` - ${description}` : ''}`, '');
+      });
     });
-    this.render();
+
+    return lines.join('\n');
   }
 
   /**
-   * Render the application
+   * GitHub's heading anchor for a title, numbered when it repeats
    */
-  render() {
-    // Cancel any pending animation frame
-    if (this.animationFrame) {
-      cancelAnimationFrame(this.animationFrame);
-    }
+  getMarkdownAnchor(title, usedAnchors) {
+    const base = String(title).toLowerCase().trim()
+      .replace(/[^\p{L}\p{N}\s_-]/gu, '')
+      .replace(/\s/g, '-');
+    const count = usedAnchors.get(base) || 0;
+    usedAnchors.set(base, count + 1);
+    return count === 0 ? base : `${base}-${count}`;
+  }
 
-    // Use requestAnimationFrame for smooth rendering
-    this.animationFrame = requestAnimationFrame(() => {
-      this.updateUI();
+  /**
+   * CSV with one row per repository and the group it was exported under
+   */
+  toCsv(groups) {
+    const columns = [
+      ['group', (repo, group) => group],
+      ['full_name', repo => repo.full_name],
+      ['html_url', repo => repo.html_url],
+      ['description', repo => repo.description],
+      ['language', repo => repo.language],
+      ['topics', repo => repo.topics.join(' ')],
+      ['stargazers_count', repo => repo.stargazers_count],
+      ['forks_count', repo => repo.forks_count],
+      ['open_issues_count', repo => repo.open_issues_count],
+      ['archived', repo => (repo.archived ? 'true' : 'false')],
+      ['health', repo => repo.health],
+      ['created_at', repo => repo.created_at],
+      ['updated_at', repo => repo.updated_at],
+      ['pushed_at', repo => repo.pushed_at],
+      ['starred_at', repo => repo.starred_at],
+      ['starred_by', repo => repo.starred_by.join('; ')],
+      ['homepage', repo => repo.homepage]
+    ];
+
+    const escapeCell = (value) => {
+      let text = value === undefined || value === null ? '' : String(value);
+      // Keep spreadsheets from evaluating cells as formulas
+      if (/^[=+\-@]/.test(text)) text = `'${text}`;
+      return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+
+    const rows = [columns.map(([name]) => name).join(',')];
+    groups.forEach(([title, repos]) => {
+      repos.forEach(repo => {
+        rows.push(columns.map(([, getValue]) => escapeCell(getValue(repo, title))).join(','));
+      });
     });
+
+    // The byte order mark lets spreadsheet apps detect UTF-8
+    return `\ufeff${rows.join('\r\n')}\r\n`;
   }
 
   /**
-   * Update the UI based on current state
+   * JSON in the data.json shape, without the fields the app computes on load
    */
-  updateUI() {
-    const { isLoading, error, filteredRepositories, repositories, languages } = this.state;
+  toExportJson(groups) {
+    const data = {};
+    groups.forEach(([title, repos]) => {
+      data[title] = repos.map(repo => {
+        const exported = { ...repo };
+        this.exportComputedFields.forEach(field => delete exported[field]);
+        if (!exported.starred_at) delete exported.starred_at;
+        return exported;
+      });
+    });
 
-    // Update statistics
-    this.updateStatistics();
+    return JSON.stringify(data, null, 2);
+  }
 
-    // Show/hide different states
-    this.elements.loadingState.style.display = isLoading ? 'flex' : 'none';
-    this.elements.errorState.style.display = error ? 'flex' : 'none';
-    this.elements.emptyState.style.display =
-      !isLoading && !error && filteredRepositories.length === 0 ? 'flex' : 'none';
-    this.elements.repositoryGrid.style.display =
-      !isLoading && !error && filteredRepositories.length > 0 ? 'grid' : 'none';
-    this.elements.statsBar.style.display =
-      !isLoading && !error ? 'block' : 'none';
+  /**
+   * OPML with one folder per group and each repository's releases feed, for feed readers
+   */
+  toOpml(groups) {
+    const xml = text => String(text || '')
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;');
+
+    const outlines = groups.map(([title, repos]) => [
+      `    <outline text="${xml(title)}">`,
+      ...repos.map(repo =>
+        `      <outline type="rss" text="${xml(repo.full_name)}" title="${xml(String(repo.description || '').replace(/\s+/g, ' ').trim())}" xmlUrl="${xml(`${repo.html_url}/releases.atom`)}" htmlUrl="${xml(repo.html_url)}"/>`
+      ),
+      '    </outline>'
+    ].join('\n'));
 
-    // Show skeleton loading or render repositories
-    if (isLoading) {
-      this.renderSkeletonCards();
-    } else if (!error && filteredRepositories.length > 0) {
-      this.renderRepositories();
+    return [
+      '<?xml version="1.0" encoding="UTF-8"?>',
+      '<opml version="2.0">',
+      '  <head>',
+      '    <title>Awesome GitHub Repos</title>',
+      `    <dateCreated>${new Date().toUTCString()}</dateCreated>`,
+      '  </head>',
+      '  <body>',
+      ...outlines,
+      '  </body>',
+      '</opml>',
+      ''
+    ].join('\n');
+  }
+
+  /**
+   * BibTeX @misc entries for citing the repositories
+   */
+  toBibtex(groups) {
+    const specials = { '\\': '\\textbackslash{}', '~': '\\textasciitilde{}', '^': '\\textasciicircum{}' };
+    const latex = text => String(text || '')
+      .replace(/[\\&%$#_{}~^]/g, char => specials[char] || `\\${char}`)
+      .replace(/\s+/g, ' ')
+      .trim();
+    const usedKeys = new Set();
+
+    const entries = groups.map(([title, repos]) => [
+      `% ${title}`,
+      ...repos.map(repo => {
+        const baseKey = repo.full_name.toLowerCase().replace(/[^a-z0-9]+/g, '_');
+        let key = baseKey;
+        for (let suffix = 2; usedKeys.has(key); suffix++) key = `${baseKey}_${suffix}`;
+        usedKeys.add(key);
+
+        const fields = [
+          ['author', latex(repo.owner?.login)],
+          ['title', `{${latex(repo.full_name)}${repo.description ? `: ${latex(repo.description)}` : ''}}`],
+          ['year', repo.created_at ? new Date(repo.created_at).getFullYear() : null],
+          ['howpublished', `\\url{${repo.html_url}}`],
+          ['note', `GitHub repository, ${repo.stargazers_count} stars`]
+        ].filter(([, value]) => value !== null);
+
+        return [
+          `@misc{${key},`,
+          ...fields.map(([name, value]) => `  ${name} = {${value}},`),
+          '}'
+        ].join('\n');
+      })
+    ].join('\n\n'));
+
+    return `${entries.join('\n\n')}\n`;
+  }
+
+  /**
+   * Importers for stars kept outside data.json. Each parses file text into
+   * repositories in the data.json shape.
+   */
+  getStarImporters() {
+    return {
+      github: { label: 'GitHub starred API JSON', extensions: ['json'], parse: text => this.parseGitHubStarsExport(text) },
+      markdown: { label: 'awesome-list Markdown', extensions: ['md', 'markdown'], parse: text => this.parseAwesomeMarkdown(text) },
+      bookmarks: { label: 'bookmarks HTML', extensions: ['html', 'htm'], parse: text => this.parseBookmarksHtml(text) }
+    };
+  }
+
+  /**
+   * Pick an importer from the file extension, falling back to sniffing the content
+   */
+  detectStarImporter(text, filename = '') {
+    const importers = this.getStarImporters();
+    const extension = filename.split('.').pop().toLowerCase();
+    const byExtension = Object.keys(importers).find(id => importers[id].extensions.includes(extension));
+    if (byExtension) return byExtension;
+
+    const start = text.trimStart();
+    if (start.startsWith('[') || start.startsWith('{')) return 'github';
+    if (/<!DOCTYPE NETSCAPE-Bookmark-file|<dl[\s>]/i.test(start)) return 'bookmarks';
+    return 'markdown';
+  }
+
+  /**
+   * Import stars from a file and merge them with the loaded data
+   */
+  async importStars(file) {
+    try {
+      const text = await file.text();
+      const importer = this.getStarImporters()[this.detectStarImporter(text, file.name)];
+      const parsed = this.dedupeRepositories(importer.parse(text));
+      if (parsed.length === 0) {
+        throw new Error(`no GitHub repositories found in this ${importer.label} file`);
+      }
+
+      const before = this.state.repositories.length;
+      this.importedRepositories = this.dedupeRepositories([...this.importedRepositories, ...parsed]);
+      this.writeImportedStars();
+      this.refreshRepositories();
+
+      const added = this.state.repositories.length - before;
+      this.showToast(`Imported ${parsed.length} repositories from ${importer.label} (${added} new)`, 'success');
+    } catch (error) {
+      console.error('Failed to import stars:', error);
+      this.showToast(`Could not import stars: ${error.message}`, 'error', 5000);
     }
   }
 
   /**
-   * Render skeleton loading cards
+   * Forget imported stars and show data.json alone again
    */
-  renderSkeletonCards() {
-    this.elements.repositoryGrid.innerHTML = '';
-    this.elements.repositoryGrid.className = 'repository-grid skeleton-grid';
-    this.elements.repositoryGrid.style.display = 'grid';
+  clearImportedStars() {
+    this.importedRepositories = [];
+    this.writeImportedStars();
+    this.refreshRepositories();
+    this.showToast('Removed imported stars', 'success');
+  }
 
-    const skeletonCards = this.createSkeletonCards(9);
-    this.elements.repositoryGrid.appendChild(skeletonCards);
+  /**
+   * Re-process data.json with the imported stars and refresh everything built from them
+   */
+  refreshRepositories() {
+    if (!this.rawData) return;
+
+    const repositories = this.processRepositoryData(
+      this.mergeImportedRepositories(this.rawData, this.importedRepositories)
+    );
+    const languages = this.extractLanguages(repositories);
+
+    this.setState({ repositories, languages });
+    this.populateLanguageFilter(languages);
+    this.syncLanguageFilter();
+    this.populateQuickFilters();
+    this.updateImportedControls();
+    this.render();
   }
 
   /**
-   * Update statistics display
+   * Show the clear button with the number of imported stars
    */
-  updateStatistics() {
-    const { repositories, filteredRepositories, languages } = this.state;
+  updateImportedControls() {
+    const button = this.elements.clearImported;
+    if (!button) return;
 
-    this.elements.totalCount.textContent = this.formatNumber(repositories.length);
-    this.elements.filteredCount.textContent = this.formatNumber(filteredRepositories.length);
-    this.elements.languageCount.textContent = languages.length;
+    button.hidden = this.importedRepositories.length === 0;
+    button.textContent = `✖ Clear imported (${this.importedRepositories.length})`;
+  }
+
+  /**
+   * Add imported repositories to data.json in its own shape. data.json wins for
+   * repositories it already has; imports only fill in fields it lacks, such as starred_at.
+   */
+  mergeImportedRepositories(data, imported) {
+    if (imported.length === 0) return data;
+
+    const isGrouped = data && typeof data === 'object' && !Array.isArray(data);
+    const merged = isGrouped
+      ? Object.fromEntries(Object.entries(data).map(([key, repos]) => [key, Array.isArray(repos) ? [...repos] : repos]))
+      : [...(Array.isArray(data) ? data : [])];
+    const existing = isGrouped ? Object.values(merged).filter(Array.isArray).flat() : merged;
+    const byName = new Map(existing
+      .filter(repo => repo?.full_name)
+      .map(repo => [repo.full_name.toLowerCase(), repo]));
+
+    imported.forEach(repo => {
+      const key = repo.full_name.toLowerCase();
+      const current = byName.get(key);
+
+      if (current) {
+        const filled = this.fillMissingFields(current, repo);
+        this.replaceRepository(merged, current, filled);
+        byName.set(key, filled);
+        return;
+      }
+
+      byName.set(key, repo);
+      if (isGrouped) {
+        const language = repo.language || 'miscellaneous';
+        if (!Array.isArray(merged[language])) merged[language] = [];
+        merged[language].push(repo);
+      } else {
+        merged.push(repo);
+      }
+    });
+
+    return merged;
+  }
+
+  /**
+   * Swap a repository for another wherever it sits in flat or grouped data
+   */
+  replaceRepository(data, current, replacement) {
+    const lists = Array.isArray(data) ? [data] : Object.values(data).filter(Array.isArray);
+    lists.forEach(list => {
+      const index = list.indexOf(current);
+      if (index !== -1) list[index] = replacement;
+    });
+  }
+
+  /**
+   * Copy fields the target is missing from the source
+   */
+  fillMissingFields(target, source) {
+    const filled = { ...target };
+    Object.entries(source).forEach(([field, value]) => {
+      if (filled[field] === undefined || filled[field] === null || filled[field] === '') filled[field] = value;
+    });
+    return filled;
+  }
+
+  /**
+   * Keep one repository per full_name, ignoring case. The first one wins and later
+   * duplicates only fill in fields it lacks.
+   */
+  dedupeRepositories(repos) {
+    const byName = new Map();
+    repos.forEach(repo => {
+      const key = repo.full_name.toLowerCase();
+      byName.set(key, byName.has(key) ? this.fillMissingFields(byName.get(key), repo) : repo);
+    });
+    return Array.from(byName.values());
+  }
+
+  /**
+   * Build a repository in the data.json shape from what an import knows about it
+   */
+  createImportedRepository({ owner, name, description = '', language = null, starredAt = null }) {
+    const fullName = `${owner}/${name}`;
+    const repo = {
+      id: `imported:${fullName.toLowerCase()}`,
+      name,
+      full_name: fullName,
+      owner: {
+        login: owner,
+        avatar_url: `https://github.com/${encodeURIComponent(owner)}.png`,
+        html_url: `https://github.com/${encodeURIComponent(owner)}`
+      },
+      html_url: `https://github.com/${fullName}`,
+      description,
+      stargazers_count: 0,
+      topics: [],
+      // Imports only know the name, so these stay unknown until a refresh fills them in
+      created_at: null,
+      updated_at: null
+    };
+
+    if (language) repo.language = language;
+    if (starredAt) repo.starred_at = starredAt;
+    return repo;
+  }
+
+  /**
+   * Get owner and name from a github.com repository URL, or null for other links
+   */
+  parseGitHubRepositoryUrl(href) {
+    const parsed = this.parseGitHubUrl(href);
+    return parsed?.name ? parsed : null;
   }
 
   /**
-   * Format numbers for display (e.g., 1000 -> 1K)
+   * Get the owner, and the repository name when there is one, from a github.com URL
    */
-  formatNumber(num) {
-    if (num >= 1000000) {
-      return (num / 1000000).toFixed(1) + 'M';
+  parseGitHubUrl(href) {
+    let url;
+    try {
+      url = new URL(href);
+    } catch (error) {
+      return null;
     }
-    if (num >= 1000) {
-      return (num / 1000).toFixed(1) + 'K';
+
+    if (!/^(www\.)?github\.com$/i.test(url.hostname)) return null;
+
+    const [owner, name] = url.pathname.split('/').filter(Boolean);
+    const reserved = [
+      'about', 'apps', 'collections', 'customer-stories', 'enterprise', 'explore', 'features', 'issues',
+      'login', 'marketplace', 'new', 'notifications', 'orgs', 'pricing', 'pulls', 'search', 'settings',
+      'site', 'sponsors', 'topics', 'trending', 'users'
+    ];
+    if (!owner || reserved.includes(owner.toLowerCase())) return null;
+
+    return { owner, name: name ? name.replace(/\.git$/, '') : null };
+  }
+
+  /**
+   * Parse `gh api user/starred` output: an array of repositories or of
+   * { starred_at, repo } items, including the back-to-back arrays `--paginate` prints.
+   * A language-keyed object like data.json is accepted too.
+   */
+  parseGitHubStarsExport(text) {
+    const isLanguageGroups = value => value && typeof value === 'object' && !Array.isArray(value) &&
+      !value.full_name && !value.repo && Object.values(value).some(Array.isArray);
+
+    return this.parseJsonSequence(text)
+      .flatMap(value => (isLanguageGroups(value) ? Object.values(value).filter(Array.isArray) : [value]))
+      .flat(Infinity)
+      .map(item => {
+        const repo = item?.repo && typeof item.repo === 'object' ? { ...item.repo, starred_at: item.starred_at } : item;
+        if (!repo || typeof repo !== 'object') return null;
+
+        const fullName = repo.full_name || (repo.owner?.login && repo.name ? `${repo.owner.login}/${repo.name}` : null);
+        if (!fullName) return null;
+
+        const [owner, name] = fullName.split('/');
+        const fallback = this.createImportedRepository({ owner, name });
+        return { ...fallback, ...repo, full_name: fullName, owner: { ...fallback.owner, ...repo.owner } };
+      })
+      .filter(Boolean);
+  }
+
+  /**
+   * Parse text holding one or more JSON values written back to back
+   */
+  parseJsonSequence(text) {
+    const values = [];
+    let depth = 0;
+    let start = -1;
+    let inString = false;
+
+    for (let index = 0; index < text.length; index++) {
+      const char = text[index];
+
+      if (inString) {
+        if (char === '\\') index++;
+        else if (char === '"') inString = false;
+      } else if (char === '"') {
+        inString = true;
+      } else if (char === '[' || char === '{') {
+        if (depth === 0) start = index;
+        depth++;
+      } else if (char === ']' || char === '}') {
+        depth--;
+        if (depth === 0) values.push(JSON.parse(text.slice(start, index + 1)));
+      }
+    }
+
+    if (values.length === 0 || depth !== 0) throw new Error('the file is not valid JSON');
+    return values;
+  }
+
+  /**
+   * Parse awesome-list Markdown such as data.md. List items look like
+   * `- [owner/name](https://github.com/owner/name) - description`; the heading above
+   * an item is used as its language, as in the lists this site generates.
+   */
+  parseAwesomeMarkdown(text) {
+    const repos = [];
+    let heading = null;
+
+    text.split(/\r?\n/).forEach(line => {
+      const headingMatch = line.match(/^#{2,6}\s+(.+?)\s*#*\s*$/);
+      if (headingMatch) {
+        heading = headingMatch[1].trim();
+        return;
+      }
+
+      const itemMatch = line.match(/^\s*[-*+]\s+\[([^\]]*)\]\(([^)\s]+)[^)]*\)\s*(?:[-–—:]\s*(.*))?$/);
+      if (!itemMatch) return;
+
+      const parsed = this.parseGitHubRepositoryUrl(itemMatch[2]);
+      if (!parsed) return;
+
+      const language = heading && !/^(table of contents|contents|miscellaneous)$/i.test(heading) ? heading : null;
+      repos.push(this.createImportedRepository({
+        ...parsed,
+        description: (itemMatch[3] || '').trim(),
+        language
+      }));
+    });
+
+    return repos;
+  }
+
+  /**
+   * Parse a Netscape bookmarks export, keeping links to GitHub repositories.
+   * The bookmark date stands in for when the repository was starred.
+   */
+  parseBookmarksHtml(text) {
+    const doc = new DOMParser().parseFromString(text, 'text/html');
+
+    return Array.from(doc.querySelectorAll('a[href]'))
+      .map(link => {
+        const parsed = this.parseGitHubRepositoryUrl(link.getAttribute('href'));
+        if (!parsed) return null;
+
+        // Page titles look like "GitHub - owner/name: description"
+        const title = link.textContent.trim();
+        const description = title.replace(/^GitHub\s*-\s*[^\s:]+\/[^\s:]+:?\s*/i, '');
+        const added = Number(link.getAttribute('add_date'));
+
+        return this.createImportedRepository({
+          ...parsed,
+          description: description === title && title.includes(`${parsed.owner}/${parsed.name}`) ? '' : description,
+          starredAt: added > 0 ? new Date(added * 1000).toISOString() : null
+        });
+      })
+      .filter(Boolean);
+  }
+
+  /**
+   * Load imported stars saved in this browser
+   */
+  loadImportedStars() {
+    try {
+      const raw = window.localStorage.getItem(this.importedKey);
+      const payload = raw ? JSON.parse(raw) : null;
+      this.importedRepositories = Array.isArray(payload?.repositories)
+        ? this.dedupeRepositories(payload.repositories.filter(repo => repo && typeof repo.full_name === 'string'))
+        : [];
+    } catch (error) {
+      console.warn('Failed to read imported stars:', error);
+      this.importedRepositories = [];
+    }
+  }
+
+  /**
+   * Save imported stars in the versioned format
+   */
+  writeImportedStars() {
+    try {
+      window.localStorage.setItem(this.importedKey, JSON.stringify({
+        version: this.importedVersion,
+        repositories: this.importedRepositories
+      }));
+    } catch (error) {
+      console.warn('Failed to save imported stars:', error);
+      this.showToast('Could not save imported stars in this browser', 'error');
+    }
+  }
+
+  /**
+   * Turn a collection name into a URL-friendly id
+   */
+  slugifyCollectionName(name) {
+    return String(name)
+      .toLowerCase()
+      .trim()
+      .replace(/[^\p{L}\p{N}]+/gu, '-')
+      .replace(/^-+|-+$/g, '') || 'collection';
+  }
+
+  /**
+   * Normalize a collection into { id, name, description, repos }
+   *
+   * Repositories are referenced by id; "owner/name" strings are accepted so
+   * collections.json can be written by hand.
+   */
+  normalizeCollection(raw) {
+    const name = String(raw.name || '').trim();
+    if (!name) return null;
+
+    const repos = (Array.isArray(raw.repos) ? raw.repos : [])
+      .map(ref => (typeof ref === 'number' || /^\d+$/.test(ref) ? Number(ref) : String(ref).trim().toLowerCase()))
+      .filter(Boolean);
+
+    return {
+      id: this.slugifyCollectionName(raw.id || name),
+      name,
+      description: String(raw.description || '').trim(),
+      repos: Array.from(new Set(repos))
+    };
+  }
+
+  /**
+   * Parse a collections file or stored payload into a list of collections
+   */
+  parseCollectionsPayload(payload) {
+    if (Number.isInteger(payload?.version) && payload.version > this.collectionsVersion) {
+      throw new Error(`Collections version ${payload.version} is newer than this app supports`);
+    }
+
+    // Accept both the versioned export format and a bare array
+    const entries = Array.isArray(payload) ? payload : payload?.collections;
+    if (!Array.isArray(entries)) {
+      throw new Error('Collections must be a list');
+    }
+
+    return entries
+      .filter(entry => entry && typeof entry === 'object')
+      .map(entry => this.normalizeCollection(entry))
+      .filter(Boolean);
+  }
+
+  /**
+   * Merge two collection lists by id; incoming collections replace existing ones
+   */
+  mergeCollections(base, incoming) {
+    const merged = new Map(base.map(collection => [collection.id, collection]));
+    incoming.forEach(collection => merged.set(collection.id, collection));
+    return Array.from(merged.values());
+  }
+
+  /**
+   * Load committed collections.json and overlay the ones saved in this browser
+   */
+  async loadCollections() {
+    let committed = [];
+
+    try {
+      const response = await fetch('collections.json');
+      if (response.ok) {
+        committed = this.parseCollectionsPayload(await response.json());
+      }
+    } catch (error) {
+      console.warn('Failed to load collections.json:', error);
+    }
+
+    let local = [];
+    try {
+      const raw = window.localStorage.getItem(this.collectionsKey);
+      local = raw ? this.parseCollectionsPayload(JSON.parse(raw)) : [];
+    } catch (error) {
+      console.warn('Failed to read saved collections:', error);
+    }
+
+    this.collections = this.mergeCollections(committed, local);
+  }
+
+  /**
+   * Versioned collections payload used for storage and export
+   */
+  getCollectionsPayload() {
+    return {
+      version: this.collectionsVersion,
+      collections: this.collections
+    };
+  }
+
+  /**
+   * Persist collections to localStorage
+   */
+  writeCollections() {
+    try {
+      window.localStorage.setItem(this.collectionsKey, JSON.stringify(this.getCollectionsPayload()));
+    } catch (error) {
+      console.warn('Failed to save collections:', error);
+      this.showToast('Could not save collections in this browser', 'error');
+    }
+  }
+
+  /**
+   * Create a collection, or return the existing one with the same id
+   */
+  createCollection(name) {
+    const id = this.slugifyCollectionName(name);
+    const existing = this.getCollection(id);
+    if (existing) return existing;
+
+    const collection = this.normalizeCollection({ id, name, repos: [] });
+    this.collections.push(collection);
+    return collection;
+  }
+
+  /**
+   * Add or remove a repository from a collection
+   */
+  setRepositoryInCollection(collectionId, repo, included) {
+    const collection = this.getCollection(collectionId);
+    if (!collection) return;
+
+    // Drop any "owner/name" reference so the id becomes the single source of truth
+    const fullName = String(repo.full_name || '').toLowerCase();
+    collection.repos = collection.repos.filter(ref => ref !== repo.id && ref !== fullName);
+
+    if (included) {
+      collection.repos.push(repo.id);
+    }
+  }
+
+  /**
+   * Delete a collection and clear it from the filter if selected
+   */
+  deleteCollection(collectionId) {
+    this.collections = this.collections.filter(collection => collection.id !== collectionId);
+    this.writeCollections();
+
+    if (this.state.selectedCollection === collectionId) {
+      this.setState({ selectedCollection: '' });
+    }
+
+    this.refreshCollections();
+  }
+
+  /**
+   * Re-filter and re-render after collections change
+   */
+  refreshCollections() {
+    this.setState({ repositories: this.state.repositories });
+    this.populateCollectionFilters();
+    this.render();
+  }
+
+  /**
+   * Populate collection filter buttons
+   */
+  populateCollectionFilters() {
+    const { collectionFilters, collectionFilterButtons } = this.elements;
+    if (!collectionFilters) return;
+
+    if (this.collections.length === 0) {
+      collectionFilters.style.display = 'none';
+      return;
+    }
+
+    const { repositories, selectedCollection } = this.state;
+    const fragment = document.createDocumentFragment();
+
+    this.collections.forEach(collection => {
+      const count = repositories.filter(repo => this.isRepositoryInCollection(collection, repo)).length;
+
+      const button = document.createElement('button');
+      button.className = 'quick-filter-btn collection-filter-btn';
+      button.setAttribute('data-collection', collection.id);
+      button.classList.toggle('active', collection.id === selectedCollection);
+      if (collection.description) button.title = collection.description;
+      button.innerHTML = `
+        <span aria-hidden="true">📁</span>
+        <span>${this.escapeHtml(collection.name)}</span>
+        <span class="quick-filter-count">${count}</span>
+      `;
+
+      button.addEventListener('click', () => {
+        this.handleCollectionFilter(collection.id);
+      });
+
+      fragment.appendChild(button);
+    });
+
+    // Offer deletion for the selected collection only
+    const selected = this.getCollection(selectedCollection);
+    if (selected) {
+      const deleteButton = document.createElement('button');
+      deleteButton.className = 'quick-filter-btn collection-delete-btn';
+      deleteButton.textContent = '🗑️ Delete collection';
+      deleteButton.setAttribute('aria-label', `Delete collection ${selected.name}`);
+      deleteButton.addEventListener('click', () => {
+        if (window.confirm(`Delete the collection "${selected.name}"? Repositories are not affected.`)) {
+          this.deleteCollection(selected.id);
+        }
+      });
+      fragment.appendChild(deleteButton);
+    }
+
+    collectionFilterButtons.innerHTML = '';
+    collectionFilterButtons.appendChild(fragment);
+    collectionFilters.style.display = 'flex';
+  }
+
+  /**
+   * Toggle the collection filter
+   */
+  handleCollectionFilter(collectionId) {
+    const selectedCollection = this.state.selectedCollection === collectionId ? '' : collectionId;
+
+    this.setState({ selectedCollection });
+    this.populateCollectionFilters();
+    this.render();
+  }
+
+  /**
+   * Download collections as collections.json for committing next to data.json
+   */
+  exportCollections() {
+    if (this.collections.length === 0) {
+      this.showToast('There are no collections to export yet', 'info');
+      return;
+    }
+
+    const payload = {
+      ...this.getCollectionsPayload(),
+      exportedAt: new Date().toISOString()
+    };
+
+    this.downloadFile('collections.json', JSON.stringify(payload, null, 2), 'application/json');
+    this.showToast(`Exported ${this.collections.length} collections`, 'success');
+  }
+
+  /**
+   * Merge collections from an exported collections.json file
+   */
+  async importCollections(file) {
+    try {
+      const imported = this.parseCollectionsPayload(JSON.parse(await file.text()));
+
+      this.collections = this.mergeCollections(this.collections, imported);
+      this.writeCollections();
+      this.refreshCollections();
+
+      this.showToast(`Imported ${imported.length} collections`, 'success');
+    } catch (error) {
+      console.error('Failed to import collections:', error);
+      this.showToast(`Could not import collections: ${error.message}`, 'error', 5000);
+    }
+  }
+
+  /**
+   * Map of state keys that are reflected in the URL to their query parameter and default.
+   * Array values are written as comma-separated lists. A default may be a function of the
+   * state read before it.
+   */
+  getUrlStateParams() {
+    return {
+      searchTerm: { param: 'q', defaultValue: '' },
+      selectedLanguages: { param: 'lang', defaultValue: [] },
+      selectedTopics: { param: 'topic', defaultValue: [] },
+      selectedOwners: { param: 'owner', defaultValue: [] },
+      selectedStarRanges: { param: 'stars', defaultValue: [] },
+      selectedUpdatedRanges: { param: 'updated', defaultValue: [] },
+      selectedHealth: { param: 'health', defaultValue: [] },
+      selectedStarredBy: { param: 'by', defaultValue: [] },
+      hideArchived: { param: 'hide-archived', defaultValue: false },
+      selectedCollection: { param: 'collection', defaultValue: '' },
+      sortBy: { param: 'sort', defaultValue: 'relevance' },
+      sortOrder: { param: 'dir', defaultValue: state => this.getDefaultSortOrder(state.sortBy) },
+      languageCategory: { param: 'order', defaultValue: 'recently' },
+      groupBy: { param: 'group', defaultValue: 'language' },
+      view: { param: 'view', defaultValue: 'grid' }
+    };
+  }
+
+  /**
+   * Read shareable state from the query string, falling back to hash parameters.
+   * Saved preferences fill in only on the first load of a URL that carries no state;
+   * otherwise, as on back/forward, a missing parameter means its default.
+   */
+  readStateFromUrl({ initial = false } = {}) {
+    const searchParams = new URLSearchParams(window.location.search);
+    const hashParams = new URLSearchParams(window.location.hash.replace(/^#/, ''));
+    const hasUrlState = Object.values(this.getUrlStateParams()).some(({ param }) => searchParams.has(param) || hashParams.has(param));
+    const preferences = initial && !hasUrlState ? this.preferences || {} : {};
+    const state = {};
+
+    Object.entries(this.getUrlStateParams()).forEach(([key, { param, defaultValue }]) => {
+      const value = searchParams.get(param) ?? hashParams.get(param);
+      if (value === null) {
+        state[key] = preferences[key] ?? (typeof defaultValue === 'function' ? defaultValue(state) : defaultValue);
+      } else if (Array.isArray(defaultValue)) {
+        state[key] = value.split(',').map(item => item.trim()).filter(Boolean);
+      } else if (typeof defaultValue === 'boolean') {
+        state[key] = ['true', '1'].includes(value.trim());
+      } else {
+        state[key] = value.trim();
+      }
+    });
+
+    // Ignore values the UI cannot represent
+    const sortOptions = Array.from(this.elements.sortSelect.options).map(option => option.value);
+    if (!sortOptions.includes(state.sortBy)) {
+      state.sortBy = this.getUrlStateParams().sortBy.defaultValue;
+    }
+
+    if (!['asc', 'desc'].includes(state.sortOrder)) {
+      state.sortOrder = this.getDefaultSortOrder(state.sortBy);
+    }
+
+    if (!['recently', 'popular'].includes(state.languageCategory)) {
+      state.languageCategory = this.getUrlStateParams().languageCategory.defaultValue;
+    }
+
+    if (!this.getGroupingOptions()[state.groupBy]) {
+      state.groupBy = this.getUrlStateParams().groupBy.defaultValue;
+    }
+
+    const viewOptions = this.elements.viewSelect
+      ? Array.from(this.elements.viewSelect.options).map(option => option.value)
+      : ['grid'];
+    if (!viewOptions.includes(state.view)) {
+      state.view = this.getUrlStateParams().view.defaultValue;
+    }
+
+    // Range facets only accept their known bucket ids
+    Object.values(this.getFacets()).forEach(({ stateKey, options }) => {
+      if (!options) return;
+      const ids = options.map(option => option.value);
+      state[stateKey] = state[stateKey].filter(value => ids.includes(value));
+    });
+
+    return state;
+  }
+
+  /**
+   * Write shareable state to the query string through the History API
+   */
+  updateUrl(changedState) {
+    if (this.isApplyingUrlState || !window.history?.pushState) return;
+
+    const url = new URL(window.location.href);
+
+    Object.entries(this.getUrlStateParams()).forEach(([key, { param, defaultValue }]) => {
+      const value = Array.isArray(this.state[key]) ? this.state[key].join(',') : this.state[key];
+      if (value && value !== (typeof defaultValue === 'function' ? defaultValue(this.state) : defaultValue)) {
+        url.searchParams.set(param, value);
+      } else {
+        url.searchParams.delete(param);
+      }
+
+      // Hash parameters are only read on the way in; the query string wins from now on
+      if (url.hash) {
+        const hashParams = new URLSearchParams(url.hash.replace(/^#/, ''));
+        if (hashParams.has(param)) {
+          hashParams.delete(param);
+          url.hash = hashParams.toString();
+        }
+      }
+    });
+
+    if (url.href === window.location.href) return;
+
+    // Typing refines the current entry; other changes get their own history entry
+    const onlySearchChanged = Object.keys(changedState)
+      .filter(key => this.getUrlStateParams()[key])
+      .every(key => key === 'searchTerm');
+
+    if (onlySearchChanged) {
+      window.history.replaceState(window.history.state, '', url);
+    } else {
+      window.history.pushState(window.history.state, '', url);
+    }
+  }
+
+  /**
+   * Restore shareable state from the URL and update the controls to match
+   */
+  applyUrlState({ initial = false } = {}) {
+    const urlState = this.readStateFromUrl({ initial });
+
+    // Invalid queries are shown in the search box with their error but not applied
+    const { error } = this.parseSearchQuery(urlState.searchTerm);
+    this.showSearchError(urlState.searchTerm ? error : null);
+
+    this.isApplyingUrlState = true;
+    this.setState({
+      ...urlState,
+      searchTerm: error ? '' : urlState.searchTerm
+    });
+    this.isApplyingUrlState = false;
+
+    this.syncControlsWithState(urlState.searchTerm);
+  }
+
+  /**
+   * Update form controls and filter buttons to reflect the current state
+   */
+  syncControlsWithState(searchText = this.state.searchTerm) {
+    const { sortBy, languageCategory, groupBy, hideArchived, view } = this.state;
+
+    this.elements.searchInput.value = searchText;
+    this.elements.searchClear.classList.toggle('visible', searchText.length > 0);
+    this.syncLanguageFilter();
+    this.elements.sortSelect.value = sortBy;
+    if (this.elements.groupBySelect) this.elements.groupBySelect.value = groupBy;
+    if (this.elements.hideArchived) this.elements.hideArchived.checked = hideArchived;
+    if (this.elements.viewSelect) this.elements.viewSelect.value = view;
+
+    this.elements.categorizationButtons.forEach(btn => {
+      btn.classList.toggle('active', btn.getAttribute('data-category') === languageCategory);
+    });
+
+    // Rebuild quick filters for the grouping mode; they mark the active language themselves
+    this.populateQuickFilters();
+    this.populateCollectionFilters();
+  }
+
+  /**
+   * Render the facet sidebar with live counts, keeping keyboard focus in place
+   */
+  renderFacets() {
+    const container = this.elements.facetGroups;
+    if (!container) return;
+
+    const focused = container.contains(document.activeElement) ? document.activeElement : null;
+    const isSameControl = element =>
+      element.className === focused.className &&
+      element.getAttribute('data-facet') === focused.getAttribute('data-facet') &&
+      element.value === focused.value;
+
+    const counts = this.getFacetCounts();
+    const fragment = document.createDocumentFragment();
+
+    Object.entries(this.getFacets()).forEach(([name, facet]) => {
+      const group = this.createFacetGroup(name, facet, counts[name]);
+      if (group) fragment.appendChild(group);
+    });
+
+    container.innerHTML = '';
+    container.appendChild(fragment);
+
+    if (this.elements.clearFacets) {
+      this.elements.clearFacets.hidden = !this.hasActiveFacets();
+    }
+
+    if (focused) {
+      Array.from(container.querySelectorAll('[data-facet]')).find(isSameControl)?.focus();
+    }
+  }
+
+  /**
+   * Create one collapsible facet group with its checkboxes
+   */
+  createFacetGroup(name, facet, counts) {
+    const selected = this.state[facet.stateKey];
+
+    // Range facets keep their natural order; the rest are ranked by count
+    const options = facet.options || Object.keys(counts)
+      .sort((a, b) => (counts[b] - counts[a]) || a.localeCompare(b))
+      .map(value => ({ value, label: value }));
+
+    // Keep selected values visible even when nothing in the results matches them
+    selected.forEach(value => {
+      if (!options.some(option => option.value === value)) options.push({ value, label: value });
+    });
+
+    if (options.length === 0) return null;
+
+    const limit = this.expandedFacets.has(name) || facet.options ? Infinity : this.facetOptionLimit;
+    const visible = options.filter((option, index) =>
+      index < limit || selected.includes(option.value)
+    );
+
+    const group = document.createElement('details');
+    group.className = 'facet-group';
+    group.setAttribute('data-facet', name);
+    group.open = !this.collapsedFacets.has(name);
+
+    const summary = document.createElement('summary');
+    summary.className = 'facet-group-title';
+    summary.setAttribute('data-facet', name);
+    summary.textContent = facet.label;
+    if (selected.length > 0) {
+      const badge = document.createElement('span');
+      badge.className = 'facet-selected-count';
+      badge.textContent = selected.length;
+      summary.appendChild(badge);
+    }
+    group.appendChild(summary);
+
+    const list = document.createElement('div');
+    list.className = 'facet-options';
+    list.setAttribute('role', 'group');
+    list.setAttribute('aria-label', facet.label);
+
+    visible.forEach(({ value, label }) => {
+      const count = counts[value] || 0;
+      const isSelected = selected.includes(value);
+
+      const option = document.createElement('label');
+      option.className = 'facet-option';
+      option.classList.toggle('empty', count === 0 && !isSelected);
+
+      const checkbox = document.createElement('input');
+      checkbox.type = 'checkbox';
+      checkbox.value = value;
+      checkbox.checked = isSelected;
+      checkbox.disabled = count === 0 && !isSelected;
+      checkbox.setAttribute('data-facet', name);
+      option.appendChild(checkbox);
+
+      if (facet.getColor) {
+        const dot = document.createElement('span');
+        dot.className = 'language-dot';
+        dot.style.backgroundColor = facet.getColor(value);
+        option.appendChild(dot);
+      }
+
+      const text = document.createElement('span');
+      text.className = 'facet-option-label';
+      text.textContent = label;
+      option.appendChild(text);
+
+      const countLabel = document.createElement('span');
+      countLabel.className = 'facet-count';
+      countLabel.textContent = this.formatNumber(count);
+      option.appendChild(countLabel);
+
+      list.appendChild(option);
+    });
+
+    group.appendChild(list);
+
+    const actions = document.createElement('div');
+    actions.className = 'facet-actions';
+
+    if (!facet.options && options.length > this.facetOptionLimit) {
+      const more = document.createElement('button');
+      more.type = 'button';
+      more.className = 'facet-more';
+      more.setAttribute('data-facet', name);
+      more.textContent = this.expandedFacets.has(name)
+        ? 'Show fewer'
+        : `Show ${options.length - visible.length} more`;
+      actions.appendChild(more);
+    }
+
+    if (selected.length > 0) {
+      const clear = document.createElement('button');
+      clear.type = 'button';
+      clear.className = 'facet-clear';
+      clear.setAttribute('data-facet', name);
+      clear.textContent = 'Clear';
+      actions.appendChild(clear);
+    }
+
+    if (actions.children.length > 0) group.appendChild(actions);
+
+    return group;
+  }
+
+  /**
+   * Add or remove a value from a facet selection
+   */
+  toggleFacetValue(name, value, isSelected) {
+    const facet = this.getFacets()[name];
+    if (!facet) return;
+
+    const current = this.state[facet.stateKey].filter(item => item !== value);
+    this.setState({ [facet.stateKey]: isSelected ? [...current, value] : current });
+
+    if (name === 'language') this.syncLanguageFilter();
+    this.render();
+  }
+
+  /**
+   * Clear the selection of one facet
+   */
+  clearFacet(name) {
+    const facet = this.getFacets()[name];
+    if (!facet) return;
+
+    this.setState({ [facet.stateKey]: [] });
+
+    if (name === 'language') this.syncLanguageFilter();
+    this.render();
+  }
+
+  /**
+   * Clear every facet selection
+   */
+  clearFacets() {
+    const cleared = {};
+    Object.values(this.getFacets()).forEach(facet => {
+      cleared[facet.stateKey] = [];
+    });
+
+    this.setState(cleared);
+    this.syncLanguageFilter();
+    this.render();
+  }
+
+  /**
+   * Whether any facet has a selection
+   */
+  hasActiveFacets() {
+    return Object.values(this.getFacets()).some(facet => this.state[facet.stateKey].length > 0);
+  }
+
+  /**
+   * Reflect the language facet in the single-select dropdown and quick filters
+   */
+  syncLanguageFilter() {
+    const { selectedLanguages } = this.state;
+    const select = this.elements.languageFilter;
+
+    // The dropdown can only show one language; several get a placeholder option
+    select.querySelector('option[data-multiple]')?.remove();
+    if (selectedLanguages.length > 1) {
+      const option = document.createElement('option');
+      option.value = selectedLanguages.join(',');
+      option.textContent = `${selectedLanguages.length} languages selected`;
+      option.setAttribute('data-multiple', '');
+      option.hidden = true;
+      select.insertBefore(option, select.children[1] || null);
+      select.value = option.value;
+    } else {
+      select.value = selectedLanguages[0] || '';
+    }
+
+    this.elements.quickFilterButtons.querySelectorAll('.quick-filter-btn').forEach(btn => {
+      btn.classList.toggle('active', selectedLanguages.includes(btn.getAttribute('data-language')));
+    });
+  }
+
+  /**
+   * Handle sort change with enhanced logic
+   */
+  handleSort(sortBy) {
+    this.setState({ sortBy, sortOrder: this.getDefaultSortOrder(sortBy) });
+    this.render();
+
+    // Track sorting usage
+    console.log('Sort applied:', sortBy);
+
+    // Add visual feedback
+    this.addSortFeedback(sortBy);
+  }
+
+  /**
+   * Add visual feedback for sorting
+   */
+  addSortFeedback(sortBy) {
+    const sortSelect = this.elements.sortSelect;
+    sortSelect.classList.add('sorting');
+
+    setTimeout(() => {
+      sortSelect.classList.remove('sorting');
+    }, 300);
+  }
+
+  /**
+   * Get sort display name for UI
+   */
+  getSortDisplayName(sortBy) {
+    const sortNames = {
+      'relevance': 'Best Match',
+      'stars': 'Most Stars',
+      'stars-asc': 'Least Stars',
+      'trending': 'Trending',
+      'growth': 'Fastest Growing',
+      'name': 'Name A-Z',
+      'name-desc': 'Name Z-A',
+      'owner': 'Owner A-Z',
+      'language': 'Language A-Z',
+      'updated': 'Recently Updated',
+      'created': 'Recently Created'
+    };
+
+    return sortNames[sortBy] || 'Most Stars';
+  }
+
+  /**
+   * Handle search input with advanced features
+   */
+  handleSearch(searchTerm) {
+    // Clear existing debounce timer
+    if (this.debounceTimer) {
+      clearTimeout(this.debounceTimer);
+    }
+
+    // Update search clear button visibility
+    this.elements.searchClear.classList.toggle('visible', searchTerm.length > 0);
+
+    // Show immediate feedback for empty search
+    if (searchTerm.trim() === '') {
+      this.setState({ searchTerm: '' });
+      this.render();
+      return;
+    }
+
+    // Add loading indicator for search
+    this.elements.searchInput.classList.add('searching');
+
+    // Reduced debounce time for better responsiveness
+    this.debounceTimer = setTimeout(() => {
+      this.setState({ searchTerm: searchTerm.trim() });
+      this.elements.searchInput.classList.remove('searching');
+      this.render();
+
+      // Track search analytics (if needed)
+      this.trackSearch(searchTerm.trim());
+    }, 200);
+  }
+
+  /**
+   * Show or hide the inline search query error
+   */
+  showSearchError(message) {
+    const { searchError, searchInput } = this.elements;
+    if (!searchError) return;
+
+    searchError.textContent = message || '';
+    searchError.hidden = !message;
+    searchInput.setAttribute('aria-invalid', message ? 'true' : 'false');
+  }
+
+  /**
+   * Track search for analytics (placeholder)
+   */
+  trackSearch(searchTerm) {
+    // This could be used to track popular searches
+    console.log('Search performed:', searchTerm);
+  }
+
+  /**
+   * Clear search input and filters
+   */
+  clearSearch() {
+    this.elements.searchInput.value = '';
+    this.elements.searchClear.classList.remove('visible');
+    this.showSearchError(null);
+    this.setState({ searchTerm: '' });
+    this.render();
+  }
+
+  /**
+   * Handle language filter change
+   */
+  handleLanguageFilter(language) {
+    this.setState({ selectedLanguages: language ? [language] : [] });
+    this.syncLanguageFilter();
+    this.render();
+
+    // this.showToast(`🎉 Found ${resultCount} repositories matching "${searchTerm.trim()}"`, 'success', 1000);
+  }
+
+  /**
+   * Handle sort change
+   */
+  handleSort(sortBy) {
+    this.setState({ sortBy, sortOrder: this.getDefaultSortOrder(sortBy) });
+    this.render();
+  }
+
+  /**
+   * Reset all filters
+   */
+  resetFilters() {
+    this.elements.searchInput.value = '';
+    this.elements.searchClear.classList.remove('visible');
+    this.showSearchError(null);
+    this.elements.languageFilter.value = '';
+    this.elements.sortSelect.value = 'relevance';
+    if (this.elements.groupBySelect) this.elements.groupBySelect.value = 'language';
+    if (this.elements.hideArchived) this.elements.hideArchived.checked = false;
+
+    // Reset quick filter buttons
+    this.elements.quickFilterButtons.querySelectorAll('.quick-filter-btn').forEach(btn => {
+      btn.classList.remove('active');
+    });
+
+    // Reset categorization to "Recently"
+    this.elements.categorizationButtons.forEach(btn => {
+      btn.classList.toggle('active', btn.getAttribute('data-category') === 'recently');
+    });
+
+    this.setState({
+      searchTerm: '',
+      selectedLanguages: [],
+      selectedTopics: [],
+      selectedOwners: [],
+      selectedStarRanges: [],
+      selectedUpdatedRanges: [],
+      selectedHealth: [],
+      selectedStarredBy: [],
+      hideArchived: false,
+      selectedCollection: '',
+      sortBy: 'relevance',
+      sortOrder: 'desc',
+      languageCategory: 'recently',
+      groupBy: 'language'
+    });
+
+    // Also forget saved preferences, including theme and density
+    this.resetPreferences();
+
+    // Update quick filters to reflect the reset categorization
+    this.populateQuickFilters();
+    this.populateCollectionFilters();
+
+    this.render();
+  }
+
+  /**
+   * Retry loading data
+   */
+  async retry() {
+    try {
+      await this.loadData();
+      this.applyUrlState({ initial: true });
+      this.applyDetailFromUrl();
+      this.render();
+    } catch (error) {
+      // Error is already handled in loadData
+    }
+  }
+
+  /**
+   * Handle categorization change
+   */
+  handleCategorization(category) {
+    // Update active state of categorization buttons
+    this.elements.categorizationButtons.forEach(btn => {
+      btn.classList.toggle('active', btn.getAttribute('data-category') === category);
+    });
+
+    this.setState({ languageCategory: category });
+
+    // Update quick filters to reflect the new categorization
+    this.populateQuickFilters();
+
+    this.render();
+
+    // Track categorization usage
+    console.log('Language categorization changed:', category);
+  }
+
+  /**
+   * Handle application errors
+   */
+  handleError(error) {
+    this.setState({
+      error: error.message || 'An unexpected error occurred',
+      isLoading: false
+    });
+    this.render();
+  }
+
+  /**
+   * Render the application
+   */
+  render() {
+    // Cancel any pending animation frame
+    if (this.animationFrame) {
+      cancelAnimationFrame(this.animationFrame);
+    }
+
+    // Use requestAnimationFrame for smooth rendering
+    this.animationFrame = requestAnimationFrame(() => {
+      this.updateUI();
+    });
+  }
+
+  /**
+   * Update the UI based on current state
+   */
+  updateUI() {
+    const { isLoading, isOffline, error, filteredRepositories, repositories, languages } = this.state;
+    const showDashboard = this.state.view === 'dashboard';
+    const showRepositoryView = this.state.view !== 'grid' && Boolean(this.getViewModes()[this.state.view]);
+
+    // Update statistics
+    this.updateStatistics();
+
+    // Show/hide different states
+    this.elements.loadingState.style.display = isLoading ? 'flex' : 'none';
+    this.elements.errorState.style.display = error && !isOffline ? 'flex' : 'none';
+    if (this.elements.offlineState) {
+      this.elements.offlineState.style.display = error && isOffline ? 'flex' : 'none';
+    }
+    if (this.elements.offlineIndicator) {
+      this.elements.offlineIndicator.hidden = !isOffline || Boolean(error);
+    }
+    this.elements.emptyState.style.display =
+      !isLoading && !error && filteredRepositories.length === 0 ? 'flex' : 'none';
+    this.elements.repositoryGrid.style.display =
+      !isLoading && !error && filteredRepositories.length > 0 && !showDashboard && !showRepositoryView ? 'grid' : 'none';
+    if (this.elements.statsDashboard) {
+      this.elements.statsDashboard.hidden = isLoading || error || filteredRepositories.length === 0 || !showDashboard;
+    }
+    if (this.elements.repositoryView) {
+      this.elements.repositoryView.hidden = isLoading || error || filteredRepositories.length === 0 || !showRepositoryView;
+    }
+    if (this.elements.columnChooserGroup) {
+      this.elements.columnChooserGroup.hidden = this.state.view !== 'table';
+    }
+    this.elements.statsBar.style.display =
+      !isLoading && !error ? 'block' : 'none';
+    if (this.elements.facetSidebar) {
+      this.elements.facetSidebar.style.display = !isLoading && !error ? '' : 'none';
+    }
+
+    // Facet counts follow the current results
+    if (!isLoading && !error) {
+      this.renderFacets();
+    }
+
+    // Show skeleton loading or render repositories
+    if (isLoading) {
+      this.renderSkeletonCards();
+    } else if (!error && filteredRepositories.length > 0) {
+      if (showDashboard && this.elements.statsDashboard) {
+        this.renderDashboard();
+      } else if (showRepositoryView && this.elements.repositoryView) {
+        this.renderRepositoryView();
+      } else {
+        this.renderRepositories();
+      }
+    }
+  }
+
+  /**
+   * Render skeleton loading cards
+   */
+  renderSkeletonCards() {
+    this.elements.repositoryGrid.innerHTML = '';
+    this.elements.repositoryGrid.className = 'repository-grid skeleton-grid';
+    this.elements.repositoryGrid.style.display = 'grid';
+
+    const skeletonCards = this.createSkeletonCards(9);
+    this.elements.repositoryGrid.appendChild(skeletonCards);
+  }
+
+  /**
+   * Update statistics display
+   */
+  updateStatistics() {
+    const { repositories, filteredRepositories, languages } = this.state;
+
+    this.elements.totalCount.textContent = this.formatNumber(repositories.length);
+    this.elements.filteredCount.textContent = this.formatNumber(filteredRepositories.length);
+    this.elements.languageCount.textContent = languages.length;
+  }
+
+  /**
+   * Switch between the card grid, the list and table views and the statistics dashboard
+   */
+  handleView(view) {
+    this.setState({ view });
+    this.render();
+  }
+
+  /**
+   * Render the simple list or compact table view from the shared core; the list is grouped
+   * like the grid
+   */
+  renderRepositoryView() {
+    // The grid is hidden, so there is no window to keep up to date while scrolling
+    this.gridLayout = null;
+
+    const groups = this.groupRepositories(this.state.filteredRepositories);
+    this.elements.repositoryView.innerHTML = this.getViewModes()[this.state.view].render(groups);
+  }
+
+  /**
+   * Sort by a table header, keeping focus on the header once the table is rendered again
+   */
+  handleTableSort(sortBy) {
+    this.setState(this.getTableSortState(sortBy));
+    this.elements.sortSelect.value = sortBy;
+    this.render();
+
+    requestAnimationFrame(() => {
+      this.elements.repositoryView.querySelector(`[data-sort="${sortBy}"]`)?.focus();
+    });
+  }
+
+  /**
+   * Render charts for the repositories matching the current filters
+   */
+  renderDashboard() {
+    const container = this.elements.statsDashboard;
+
+    // The grid is hidden, so there is no window to keep up to date while scrolling
+    this.gridLayout = null;
+
+    container.innerHTML = this.getDashboardCharts(this.state.filteredRepositories)
+      .map(chart => `
+        <section class="dashboard-card${chart.wide ? ' wide' : ''}">
+          <h3 class="dashboard-card-title">${chart.title}</h3>
+          ${chart.description ? `<p class="dashboard-card-description">${chart.description}</p>` : ''}
+          ${chart.content}
+        </section>
+      `).join('');
+  }
+
+  /**
+   * Build the dashboard charts; charts without data are left out
+   */
+  getDashboardCharts(repos) {
+    const { maxBars, maxTopics } = this.dashboardOptions;
+    const yearMs = 365.25 * 86400000;
+    const totalStars = repos.reduce((total, repo) => total + repo.stargazers_count, 0);
+    const owners = new Set(repos.map(repo => repo.owner?.login).filter(Boolean));
+    const languages = this.tallyRepositories(repos, repo => [repo.language]);
+
+    const starBuckets = [
+      { label: '<100', min: 0 },
+      { label: '100–1k', min: 100 },
+      { label: '1k–5k', min: 1000 },
+      { label: '5k–10k', min: 5000 },
+      { label: '10k–50k', min: 10000 },
+      { label: '50k–100k', min: 50000 },
+      { label: '100k+', min: 100000 }
+    ];
+    const ageBuckets = [
+      { label: '<1y', min: 0 },
+      { label: '1–2y', min: 1 },
+      { label: '2–3y', min: 2 },
+      { label: '3–5y', min: 3 },
+      { label: '5–10y', min: 5 },
+      { label: '10y+', min: 10 }
+    ];
+    const bucketize = (buckets, getValue) => buckets.map((bucket, index) => ({
+      label: bucket.label,
+      value: repos.filter(repo => {
+        const value = getValue(repo);
+        return value >= bucket.min && (index === buckets.length - 1 || value < buckets[index + 1].min);
+      }).length
+    }));
+
+    const charts = [
+      {
+        title: 'Overview',
+        wide: true,
+        content: `
+          <dl class="dashboard-summary">
+            <div><dt>Repositories</dt><dd>${this.formatNumber(repos.length)}</dd></div>
+            <div><dt>Total stars</dt><dd>${this.formatNumber(totalStars)}</dd></div>
+            <div><dt>Languages</dt><dd>${languages.length}</dd></div>
+            <div><dt>Owners</dt><dd>${owners.size}</dd></div>
+          </dl>
+        `
+      },
+      {
+        title: 'Languages',
+        content: this.createBarChart(this.limitTally(languages, maxBars).map(item => ({
+          ...item,
+          color: item.label === 'Other' ? null : this.getLanguageColor(item.label)
+        })), 'Repositories per language')
+      },
+      {
+        title: 'Stars per owner',
+        content: this.createBarChart(
+          this.tallyRepositories(repos, repo => [repo.owner?.login || 'Unknown'], repo => repo.stargazers_count)
+            .slice(0, maxBars),
+          'Total stars per owner',
+          value => this.formatNumber(value)
+        )
+      },
+      {
+        title: 'Star histogram',
+        content: this.createColumnChart(bucketize(starBuckets, repo => repo.stargazers_count), 'Repositories per star range')
+      },
+      {
+        title: 'Repository age',
+        content: this.createColumnChart(
+          bucketize(ageBuckets, repo => (Date.now() - Date.parse(repo.created_at)) / yearMs),
+          'Repositories per age since creation'
+        )
+      },
+      {
+        title: 'Topics',
+        description: 'Click a topic to filter by it',
+        wide: true,
+        content: this.createTopicCloud(this.tallyRepositories(repos, repo => repo.topics).slice(0, maxTopics))
+      }
+    ];
+
+    const starredMonths = this.getStarredMonthSeries(repos);
+    if (starredMonths.length > 0) {
+      charts.push({
+        title: 'Stars added per month',
+        wide: true,
+        content: this.createColumnChart(starredMonths, 'Repositories starred per month')
+      });
+    }
+
+    return charts;
+  }
+
+  /**
+   * Count repositories (or sum a weight) under each key, largest first
+   */
+  tallyRepositories(repos, getKeys, getWeight = () => 1) {
+    const totals = new Map();
+
+    repos.forEach(repo => {
+      getKeys(repo).forEach(key => {
+        totals.set(key, (totals.get(key) || 0) + getWeight(repo));
+      });
+    });
+
+    return Array.from(totals, ([label, value]) => ({ label, value }))
+      .sort((a, b) => b.value - a.value || a.label.localeCompare(b.label));
+  }
+
+  /**
+   * Keep the largest entries of a tally and sum the rest into "Other"
+   */
+  limitTally(tally, limit) {
+    if (tally.length <= limit) return tally;
+
+    const other = tally.slice(limit - 1).reduce((total, item) => total + item.value, 0);
+    return [...tally.slice(0, limit - 1), { label: 'Other', value: other }];
+  }
+
+  /**
+   * Repositories starred per month from the first to the last starred month, or
+   * an empty series when no repository has starred_at
+   */
+  getStarredMonthSeries(repos) {
+    const counts = new Map();
+    repos.forEach(repo => {
+      const month = this.getStarredMonth(repo);
+      if (month) counts.set(month.key, (counts.get(month.key) || 0) + 1);
+    });
+    if (counts.size === 0) return [];
+
+    const keys = Array.from(counts.keys()).sort();
+    const lastKey = keys[keys.length - 1];
+    let [year, month] = keys[0].split('-').map(Number);
+    const series = [];
+
+    // Fill in months without stars so the axis stays continuous
+    for (;;) {
+      const key = `${year}-${String(month).padStart(2, '0')}`;
+      series.push({ label: key, value: counts.get(key) || 0 });
+      if (key === lastKey) break;
+
+      month++;
+      if (month > 12) {
+        month = 1;
+        year++;
+      }
+    }
+
+    return series;
+  }
+
+  /**
+   * Draw a horizontal bar chart as SVG
+   */
+  createBarChart(items, label, formatValue = value => value.toLocaleString()) {
+    if (items.length === 0) return '<p class="dashboard-empty">No data</p>';
+
+    const width = 400;
+    const rowHeight = 24;
+    const labelWidth = 120;
+    const valueWidth = 48;
+    const max = Math.max(...items.map(item => item.value)) || 1;
+    const truncate = text => (text.length > 16 ? `${text.slice(0, 15)}…` : text);
+
+    const rows = items.map((item, index) => {
+      const y = index * rowHeight;
+      const barWidth = Math.max(1, (item.value / max) * (width - labelWidth - valueWidth));
+      return `
+        <g>
+          <title>${this.escapeHtml(item.label)}: ${formatValue(item.value)}</title>
+          <text class="dashboard-label" x="${labelWidth - 8}" y="${y + rowHeight / 2}" text-anchor="end" dominant-baseline="middle">${this.escapeHtml(truncate(item.label))}</text>
+          <rect class="dashboard-bar" x="${labelWidth}" y="${y + 4}" width="${barWidth.toFixed(1)}" height="${rowHeight - 8}" rx="3"${item.color ? ` style="fill: ${item.color}"` : ''}></rect>
+          <text class="dashboard-value" x="${(labelWidth + barWidth + 6).toFixed(1)}" y="${y + rowHeight / 2}" dominant-baseline="middle">${formatValue(item.value)}</text>
+        </g>
+      `;
+    }).join('');
+
+    return `
+      <svg class="dashboard-chart" viewBox="0 0 ${width} ${items.length * rowHeight}" role="img" aria-label="${this.escapeAttribute(label)}">
+        ${rows}
+      </svg>
+    `;
+  }
+
+  /**
+   * Draw a vertical column chart as SVG, labelling at most about twelve columns
+   */
+  createColumnChart(items, label) {
+    if (items.length === 0) return '<p class="dashboard-empty">No data</p>';
+
+    const width = 400;
+    const height = 180;
+    const axisHeight = 20;
+    const valueHeight = 14;
+    const slot = width / items.length;
+    const gap = Math.min(6, slot * 0.2);
+    const max = Math.max(...items.map(item => item.value)) || 1;
+    const labelEvery = Math.ceil(items.length / 12);
+
+    const columns = items.map((item, index) => {
+      const barHeight = (item.value / max) * (height - axisHeight - valueHeight);
+      const x = index * slot;
+      const y = height - axisHeight - barHeight;
+      const showLabel = index % labelEvery === 0;
+      return `
+        <g>
+          <title>${this.escapeHtml(item.label)}: ${item.value.toLocaleString()}</title>
+          <rect class="dashboard-bar" x="${(x + gap / 2).toFixed(1)}" y="${y.toFixed(1)}" width="${(slot - gap).toFixed(1)}" height="${barHeight.toFixed(1)}" rx="2"></rect>
+          ${items.length <= 12 ? `<text class="dashboard-value" x="${(x + slot / 2).toFixed(1)}" y="${(y - 4).toFixed(1)}" text-anchor="middle">${item.value.toLocaleString()}</text>` : ''}
+          ${showLabel ? `<text class="dashboard-label" x="${(x + slot / 2).toFixed(1)}" y="${height - 6}" text-anchor="middle">${this.escapeHtml(item.label)}</text>` : ''}
+        </g>
+      `;
+    }).join('');
+
+    return `
+      <svg class="dashboard-chart" viewBox="0 0 ${width} ${height}" role="img" aria-label="${this.escapeAttribute(label)}">
+        <line class="dashboard-axis" x1="0" x2="${width}" y1="${height - axisHeight}" y2="${height - axisHeight}"></line>
+        ${columns}
+      </svg>
+    `;
+  }
+
+  /**
+   * Create the topic cloud; size follows how many repositories use a topic
+   */
+  createTopicCloud(topics) {
+    if (topics.length === 0) return '<p class="dashboard-empty">No topics</p>';
+
+    const max = topics[0].value;
+    const min = topics[topics.length - 1].value;
+    const sorted = [...topics].sort((a, b) => a.label.localeCompare(b.label));
+
+    return `
+      <div class="topic-cloud">
+        ${sorted.map(({ label, value }) => {
+          const weight = max === min ? 0.5 : (value - min) / (max - min);
+          const selected = this.state.selectedTopics.includes(label);
+          return `
+            <button type="button" class="topic-cloud-item${selected ? ' active' : ''}" data-topic="${this.escapeAttribute(label)}"
+              style="font-size: ${(0.75 + weight).toFixed(2)}rem" aria-pressed="${selected}" title="${value} repositories">
+              ${this.escapeHtml(label)}
+            </button>
+          `;
+        }).join('')}
+      </div>
+    `;
+  }
+
+  /**
+   * Render repositories in the grid. Large result sets only render the rows near the viewport.
+   */
+  renderRepositories() {
+    const { filteredRepositories } = this.state;
+
+    // Performance optimization: use requestAnimationFrame for smooth rendering
+    requestAnimationFrame(() => {
+      const grid = this.elements.repositoryGrid;
+
+      // Group repositories for better organization
+      const groups = this.groupRepositories(filteredRepositories);
+
+      // A repository can appear in several sections, so count cards rather than repositories
+      const cardCount = groups.reduce((total, group) => total + group.repos.length, 0);
+      const virtual = cardCount > this.virtualScrollOptions.threshold;
+
+      // Remember where existing cards are so reorders can animate
+      const firstRects = this.measureRenderedCards();
+
+      grid.className = 'repository-grid';
+      grid.classList.toggle('virtualized', virtual);
+
+      this.gridLayout = this.buildGridLayout(groups, this.getGridColumns(), virtual);
+
+      this.updateVirtualWindow();
+      this.animateCardMoves(firstRects);
+    });
+  }
+
+  /**
+   * Split grouped repositories into header rows and card rows of the grid's column count
+   */
+  buildGridLayout(groups, columns, virtual) {
+    const rows = [];
+    const items = [];
+
+    // Cards are keyed by repository id; repeats in other sections get a numbered key
+    const occurrences = new Map();
+
+    groups.forEach(({ title, repos }) => {
+      // Section header (the flat grid has none)
+      if (title !== null) {
+        rows.push({ type: 'header', key: `header:${this.state.groupBy}:${title}`, title, count: repos.length });
+      }
+
+      for (let start = 0; start < repos.length; start += columns) {
+        const row = { type: 'cards', items: [] };
+
+        repos.slice(start, start + columns).forEach((repo, column) => {
+          const occurrence = (occurrences.get(repo.id) || 0) + 1;
+          occurrences.set(repo.id, occurrence);
+
+          const item = {
+            repo,
+            key: occurrence === 1 ? String(repo.id) : `${repo.id}#${occurrence}`,
+            index: items.length,
+            row: rows.length,
+            column,
+            groupIndex: start + column
+          };
+          items.push(item);
+          row.items.push(item);
+        });
+
+        rows.push(row);
+      }
+    });
+
+    // Spacers stand in for the rows above and below the rendered window
+    if (!this.gridSpacers) {
+      const createSpacer = () => {
+        const spacer = document.createElement('div');
+        spacer.className = 'grid-spacer';
+        spacer.setAttribute('aria-hidden', 'true');
+        spacer.hidden = true;
+        return spacer;
+      };
+      this.gridSpacers = { top: createSpacer(), bottom: createSpacer() };
+    }
+
+    const layout = {
+      rows,
+      items,
+      columns,
+      virtual,
+      heights: rows.map(row => this.rowHeightEstimates[row.type]),
+      measured: new Set(),
+      offsets: [],
+      rendered: new Map(), // Row index -> elements in the DOM
+      start: -1,
+      end: -1,
+      topSpacer: virtual ? this.gridSpacers.top : null,
+      bottomSpacer: virtual ? this.gridSpacers.bottom : null
+    };
+
+    this.updateGridOffsets(layout);
+    return layout;
+  }
+
+  /**
+   * Recompute where each row starts from the known or estimated row heights
+   */
+  updateGridOffsets(layout) {
+    layout.offsets = [0];
+    layout.heights.forEach((height, index) => {
+      layout.offsets.push(layout.offsets[index] + height);
+    });
+  }
+
+  /**
+   * Find the row at a vertical offset from the top of the grid
+   */
+  findGridRowAt(offset) {
+    const { offsets, rows } = this.gridLayout;
+    let low = 0;
+    let high = rows.length - 1;
+
+    while (low < high) {
+      const middle = Math.ceil((low + high) / 2);
+      if (offsets[middle] <= offset) {
+        low = middle;
+      } else {
+        high = middle - 1;
+      }
+    }
+
+    return low;
+  }
+
+  /**
+   * Render the rows that intersect the viewport, optionally making sure one row is included
+   */
+  updateVirtualWindow(includeRow) {
+    const layout = this.gridLayout;
+    if (!layout || layout.rows.length === 0) return;
+
+    const lastRow = layout.rows.length - 1;
+    let start = 0;
+    let end = lastRow;
+
+    if (layout.virtual) {
+      const { overscan } = this.virtualScrollOptions;
+      const gridTop = this.elements.repositoryGrid.getBoundingClientRect().top;
+
+      start = Math.max(0, this.findGridRowAt(-gridTop) - overscan);
+      end = Math.min(lastRow, this.findGridRowAt(window.innerHeight - gridTop) + overscan);
+
+      // Keyboard navigation can target a row before scrolling has caught up
+      if (includeRow !== undefined && (includeRow < start || includeRow > end)) {
+        const span = end - start;
+        start = Math.max(0, Math.min(includeRow - Math.floor(span / 2), lastRow - span));
+        end = Math.min(lastRow, start + span);
+      }
+    }
+
+    if (start === layout.start && end === layout.end) return;
+
+    this.renderGridRows(start, end);
+
+    if (layout.virtual) {
+      this.updateGridSpacers();
+      this.measureGridRows();
+      this.updateGridSpacers();
+    }
+  }
+
+  /**
+   * Bring the grid in line with the rows in the window, reusing the nodes of unchanged
+   * cards and headers and only inserting, moving or removing what differs
+   */
+  renderGridRows(start, end) {
+    const layout = this.gridLayout;
+    const previous = this.renderedNodes;
+    const next = new Map();
+    const desired = [];
+
+    if (layout.virtual) desired.push(layout.topSpacer);
+
+    layout.rendered = new Map();
+    for (let rowIndex = start; rowIndex <= end; rowIndex++) {
+      const row = layout.rows[rowIndex];
+      const elements = row.type === 'header'
+        ? [this.getGridHeaderNode(row, previous, next)]
+        : row.items.map(item => this.getGridCardNode(item, previous, next));
+
+      layout.rendered.set(rowIndex, elements);
+      desired.push(...elements);
+    }
+
+    if (layout.virtual) desired.push(layout.bottomSpacer);
+
+    this.renderedNodes = next;
+    this.reconcileChildren(this.elements.repositoryGrid, desired);
+
+    layout.start = start;
+    layout.end = end;
+  }
+
+  /**
+   * Reuse or create the header node for a section row
+   */
+  getGridHeaderNode(row, previous, next) {
+    const cached = previous.get(row.key);
+    const element = cached ? cached.element : this.createGroupHeader(row.title, row.count);
+
+    // Counts change with the filters; the rest of the header does not
+    const count = element.querySelector('.language-count');
+    if (cached && count) {
+      count.textContent = `${row.count} ${row.count === 1 ? 'repository' : 'repositories'}`;
+    }
+
+    next.set(row.key, { element });
+    return element;
+  }
+
+  /**
+   * Reuse the card node for a repository unless its data or annotations changed
+   */
+  getGridCardNode(item, previous, next) {
+    const signature = this.getCardSignature(item.repo);
+    const cached = previous.get(item.key);
+    let element;
+
+    if (cached && cached.repo === item.repo && cached.signature === signature) {
+      element = cached.element;
+    } else {
+      // Staggered entrance animations only apply when the whole grid is rendered
+      element = this.createRepositoryCard(item.repo, this.gridLayout.virtual || cached ? 0 : item.groupIndex);
+    }
+
+    element.setAttribute('data-index', item.index);
+    next.set(item.key, { element, repo: item.repo, signature });
+    return element;
+  }
+
+  /**
+   * Everything besides the repository itself that shows up on its card
+   */
+  getCardSignature(repo) {
+    return JSON.stringify([
+      this.annotations[repo.id] || null,
+      this.getCollectionsForRepository(repo).map(collection => collection.id)
+    ]);
+  }
+
+  /**
+   * Make a parent's children match a list of nodes, moving as few existing nodes as possible
+   */
+  reconcileChildren(parent, desired) {
+    const focused = parent.contains(document.activeElement) ? document.activeElement : null;
+    const wanted = new Set(desired);
+
+    Array.from(parent.children).forEach(child => {
+      if (!wanted.has(child)) child.remove();
+    });
+
+    // Nodes on the longest run that is already in order stay put; the others are moved
+    const positions = new Map(Array.from(parent.children).map((child, index) => [child, index]));
+    const stable = this.getLongestIncreasingSubsequence(desired.map(node => positions.get(node) ?? -1));
+
+    let anchor = null;
+    for (let index = desired.length - 1; index >= 0; index--) {
+      if (!stable.has(index)) parent.insertBefore(desired[index], anchor);
+      anchor = desired[index];
+    }
+
+    // Moving a node blurs it; give focus back without scrolling
+    if (focused?.isConnected && document.activeElement !== focused) {
+      focused.focus({ preventScroll: true });
+    }
+  }
+
+  /**
+   * Indices of the longest strictly increasing subsequence, ignoring negative values
+   */
+  getLongestIncreasingSubsequence(values) {
+    const tails = []; // Index of the smallest tail value for each subsequence length
+    const previous = [];
+
+    values.forEach((value, index) => {
+      if (value < 0) return;
+
+      let low = 0;
+      let high = tails.length;
+      while (low < high) {
+        const middle = (low + high) >> 1;
+        if (values[tails[middle]] < value) {
+          low = middle + 1;
+        } else {
+          high = middle;
+        }
+      }
+
+      previous[index] = low > 0 ? tails[low - 1] : -1;
+      tails[low] = index;
+    });
+
+    const result = new Set();
+    for (let index = tails.length > 0 ? tails[tails.length - 1] : -1; index >= 0; index = previous[index]) {
+      result.add(index);
+    }
+
+    return result;
+  }
+
+  /**
+   * Record the position of every card currently in the grid
+   */
+  measureRenderedCards() {
+    const rects = new Map();
+
+    this.renderedNodes.forEach(({ element, repo }, key) => {
+      if (repo && element.isConnected) {
+        rects.set(key, element.getBoundingClientRect());
+      }
+    });
+
+    return rects;
+  }
+
+  /**
+   * FLIP: animate reused cards from their previous position to their new one
+   */
+  animateCardMoves(firstRects) {
+    if (firstRects.size === 0 || typeof Element.prototype.animate !== 'function') return;
+    if (window.matchMedia?.('(prefers-reduced-motion: reduce)').matches) return;
+
+    this.renderedNodes.forEach(({ element }, key) => {
+      const first = firstRects.get(key);
+      if (!first) return;
+
+      const last = element.getBoundingClientRect();
+      const deltaX = first.left - last.left;
+      const deltaY = first.top - last.top;
+      if (Math.abs(deltaX) < 1 && Math.abs(deltaY) < 1) return;
+
+      element.animate([
+        { transform: `translate(${deltaX}px, ${deltaY}px)` },
+        { transform: 'none' }
+      ], { duration: 300, easing: 'ease-out' });
+    });
+  }
+
+  /**
+   * Record the real height of rendered rows and refine the estimate for rows below them
+   */
+  measureGridRows() {
+    const layout = this.gridLayout;
+    const tops = [];
+
+    for (let rowIndex = layout.start; rowIndex <= layout.end; rowIndex++) {
+      const [element] = layout.rendered.get(rowIndex);
+      tops.push(element.offsetTop - (parseFloat(window.getComputedStyle(element).marginTop) || 0));
+    }
+
+    if (!layout.bottomSpacer.hidden) {
+      tops.push(layout.bottomSpacer.offsetTop);
+    }
+
+    for (let i = 0; i + 1 < tops.length; i++) {
+      const height = tops[i + 1] - tops[i];
+      if (height <= 0) continue;
+
+      const rowIndex = layout.start + i;
+      layout.heights[rowIndex] = height;
+      layout.measured.add(rowIndex);
+    }
+
+    // Update estimates from everything measured so far; only rows below the window
+    // take the new estimate so the content on screen does not jump
+    ['header', 'cards'].forEach(type => {
+      const heights = Array.from(layout.measured)
+        .filter(rowIndex => layout.rows[rowIndex].type === type)
+        .map(rowIndex => layout.heights[rowIndex]);
+      if (heights.length === 0) return;
+
+      this.rowHeightEstimates[type] = heights.reduce((sum, height) => sum + height, 0) / heights.length;
+      for (let rowIndex = layout.end + 1; rowIndex < layout.rows.length; rowIndex++) {
+        if (layout.rows[rowIndex].type === type && !layout.measured.has(rowIndex)) {
+          layout.heights[rowIndex] = this.rowHeightEstimates[type];
+        }
+      }
+    });
+
+    this.updateGridOffsets(layout);
+  }
+
+  /**
+   * Size the spacers to the height of the rows that are not rendered
+   */
+  updateGridSpacers() {
+    const { offsets, rows, start, end, topSpacer, bottomSpacer } = this.gridLayout;
+    const gap = parseFloat(window.getComputedStyle(this.elements.repositoryGrid).rowGap) || 0;
+
+    // Each row height includes the gap below it; the spacer's own gap is added by the grid
+    const sizeSpacer = (spacer, height) => {
+      spacer.hidden = height <= 0;
+      spacer.style.height = `${Math.max(0, height - gap)}px`;
+    };
+
+    sizeSpacer(topSpacer, offsets[start]);
+    sizeSpacer(bottomSpacer, offsets[rows.length] - offsets[end + 1]);
+  }
+
+  /**
+   * Move the rendered window as the page scrolls and rebuild rows when the column count changes
+   */
+  setupVirtualScrolling() {
+    let ticking = false;
+
+    window.addEventListener('scroll', () => {
+      if (ticking || !this.gridLayout?.virtual) return;
+
+      ticking = true;
+      requestAnimationFrame(() => {
+        this.updateVirtualWindow();
+        ticking = false;
+      });
+    }, { passive: true });
+
+    let resizeTimer = null;
+    window.addEventListener('resize', () => {
+      clearTimeout(resizeTimer);
+      resizeTimer = setTimeout(() => {
+        if (!this.gridLayout) return;
+
+        if (this.gridLayout.columns !== this.getGridColumns()) {
+          this.renderRepositories();
+        } else {
+          this.updateVirtualWindow();
+        }
+      }, 150);
+    });
+  }
+
+  /**
+   * Available group-by modes and how each one builds its sections
+   */
+  getGroupingOptions() {
+    const byCount = (a, b) => b.repos.length - a.repos.length || a.title.localeCompare(b.title);
+    const byTitleDesc = (a, b) => b.title.localeCompare(a.title);
+    const byOrder = (order) => (a, b) => order.indexOf(a.title) - order.indexOf(b.title);
+
+    return {
+      language: {
+        label: 'Language',
+        group: repos => Object.entries(this.groupRepositoriesByLanguage(repos))
+          .map(([title, languageRepos]) => ({ title, repos: languageRepos }))
+      },
+      collection: {
+        label: 'Collection',
+        group: repos => Object.entries(this.groupRepositoriesByCollection(repos))
+          .map(([title, collectionRepos]) => ({ title, repos: collectionRepos }))
+      },
+      owner: {
+        label: 'Owner',
+        icon: '👤',
+        group: repos => this.groupRepositoriesByKeys(repos, repo => [repo.owner?.login || 'Unknown'], byCount)
+      },
+      'topic-first': {
+        label: 'First topic',
+        icon: '🏷️',
+        group: repos => this.groupRepositoriesByKeys(repos, repo => [repo.topics[0] || 'No topics'], byCount, 'No topics')
+      },
+      'topic-any': {
+        label: 'Any topic',
+        icon: '🏷️',
+        group: repos => this.groupRepositoriesByKeys(
+          repos,
+          repo => (repo.topics.length > 0 ? repo.topics : ['No topics']),
+          byCount,
+          'No topics'
+        )
+      },
+      stars: {
+        label: 'Star tier',
+        icon: '⭐',
+        group: repos => this.groupRepositoriesByKeys(
+          repos,
+          repo => [this.getStarTier(repo.stargazers_count).label],
+          byOrder(this.getStarTiers().map(tier => tier.label))
+        )
+      },
+      year: {
+        label: 'Year created',
+        icon: '📅',
+        group: repos => this.groupRepositoriesByKeys(
+          repos,
+          repo => [repo.created_at ? String(new Date(repo.created_at).getFullYear()) : 'Created date unknown'],
+          byTitleDesc,
+          'Created date unknown'
+        )
+      },
+      timeline: {
+        label: 'Starred month',
+        icon: '🗓️',
+        group: repos => this.groupRepositoriesByKeys(
+          repos,
+          repo => [this.getStarredMonth(repo)?.label || 'Starred date unknown'],
+          (a, b) => this.getStarredMonth(b.repos[0]).key.localeCompare(this.getStarredMonth(a.repos[0]).key),
+          'Starred date unknown'
+        )
+      },
+      freshness: {
+        label: 'Update freshness',
+        icon: '🕒',
+        group: repos => this.groupRepositoriesByKeys(
+          repos,
+          repo => [this.getFreshnessBucket(repo.updated_at).label],
+          byOrder(this.getFreshnessBuckets().map(bucket => bucket.label)),
+          this.getFreshnessBucket(null).label
+        )
+      },
+      none: {
+        label: 'None',
+        group: repos => [{ title: null, repos }]
+      }
+    };
+  }
+
+  /**
+   * Group repositories into ordered sections for the current group-by mode
+   */
+  groupRepositories(repositories) {
+    const options = this.getGroupingOptions();
+    const grouping = options[this.state.groupBy] || options.language;
+
+    return grouping.group(repositories);
+  }
+
+  /**
+   * Group repositories under one or more keys each, keeping a fallback group last
+   */
+  groupRepositoriesByKeys(repositories, getKeys, compareGroups, fallbackTitle = null) {
+    const grouped = new Map();
+
+    repositories.forEach(repo => {
+      getKeys(repo).forEach(key => {
+        if (!grouped.has(key)) grouped.set(key, []);
+        grouped.get(key).push(repo);
+      });
+    });
+
+    return Array.from(grouped, ([title, repos]) => ({ title, repos }))
+      .sort((a, b) => {
+        if (a.title === fallbackTitle) return 1;
+        if (b.title === fallbackTitle) return -1;
+        return compareGroups(a, b);
+      });
+  }
+
+  /**
+   * Create the section header for the current group-by mode
+   */
+  createGroupHeader(title, count) {
+    const { groupBy } = this.state;
+
+    if (groupBy === 'collection') {
+      return this.createCollectionSection(title, count);
+    }
+
+    if (groupBy === 'language' || !this.getGroupingOptions()[groupBy]) {
+      return this.createLanguageSection(title, count);
+    }
+
+    return this.createGroupSection(title, count, this.getGroupingOptions()[groupBy].icon);
+  }
+
+  /**
+   * Handle group-by change
+   */
+  handleGroupBy(groupBy) {
+    this.setState({ groupBy });
+    this.render();
+  }
+
+  /**
+   * Create language section header
+   */
+  createLanguageSection(language, count) {
+    const section = document.createElement('div');
+    section.className = 'language-section';
+
+    section.innerHTML = `
+      <div class="language-header">
+        <h2 class="language-title">
+          <span class="language-dot ${this.escapeAttribute(language.toLowerCase())}" style="background-color: ${this.escapeAttribute(this.getLanguageColor(language))}"></span>
+          ${this.escapeHtml(language)}
+        </h2>
+        <span class="language-count">${count} ${count === 1 ? 'repository' : 'repositories'}</span>
+      </div>
+    `;
+
+    return section;
+  }
+
+  /**
+   * Group repositories by collection; a repository appears in every collection it belongs to
+   */
+  groupRepositoriesByCollection(repositories) {
+    const grouped = {};
+
+    this.collections.forEach(collection => {
+      const repos = repositories.filter(repo => this.isRepositoryInCollection(collection, repo));
+      if (repos.length > 0) {
+        grouped[collection.name] = repos;
+      }
+    });
+
+    const uncollected = repositories.filter(repo => this.getCollectionsForRepository(repo).length === 0);
+    if (uncollected.length > 0) {
+      grouped['Not in a collection'] = uncollected;
+    }
+
+    return grouped;
+  }
+
+  /**
+   * Create collection section header
+   */
+  createCollectionSection(name, count) {
+    const section = this.createGroupSection(name, count, '📁');
+    section.classList.add('collection-section');
+    return section;
+  }
+
+  /**
+   * Create a section header with an icon instead of a language dot
+   */
+  createGroupSection(title, count, icon = '') {
+    const section = document.createElement('div');
+    section.className = 'language-section group-section';
+
+    section.innerHTML = `
+      <div class="language-header">
+        <h2 class="language-title">
+          ${icon ? `<span class="group-icon" aria-hidden="true">${icon}</span>` : ''}
+          ${this.escapeHtml(title)}
+        </h2>
+        <span class="language-count">${count} ${count === 1 ? 'repository' : 'repositories'}</span>
+      </div>
+    `;
+
+    return section;
+  }
+
+  /**
+   * Create a repository card element
+   */
+  createRepositoryCard(repo, index = 0) {
+    const card = document.createElement('article');
+    card.className = 'repo-card';
+    card.style.animationDelay = `${Math.min(index * 100, 600)}ms`;
+
+    // Repositories can come from other people's sources, so every URL is checked
+    const repoUrl = this.getSafeUrl(repo.html_url) || '#';
+    const homepage = this.getSafeUrl(repo.homepage);
+    const ownerUrl = this.getSafeUrl(repo.owner.html_url) || '#';
+    const avatarUrl = this.getSafeUrl(repo.owner.avatar_url) || '';
+
+    // Create card content
+    card.innerHTML = `
+      <div class="repo-header">
+        <div class="repo-title">
+          <a href="${this.escapeAttribute(repoUrl)}" target="_blank" rel="noopener noreferrer" class="repo-name">
+            ${this.escapeHtml(repo.name)}
+          </a>
+          <div class="repo-full-name">${this.escapeHtml(repo.full_name)}</div>
+          ${this.createHealthBadge(repo)}
+          ${this.createStarredByBadge(repo)}
+        </div>
+        <div class="repo-stars">
+          <span class="star-icon">⭐</span>
+          <span class="star-count">${this.escapeHtml(repo.formattedStars)}</span>
+        </div>
+      </div>
+
+      ${this.createStarTrendMarkup(repo)}
+      
+      ${repo.description ? `<p class="repo-description">${this.escapeHtml(repo.description)}</p>` : ''}
+      
+      <div class="repo-topics">
+        ${repo.topics.slice(0, 6).map(topic =>
+      `<a href="https://github.com/topics/${encodeURIComponent(topic)}" 
+             target="_blank" 
+             rel="noopener noreferrer" 
+             class="topic-tag">${this.escapeHtml(topic)}</a>`
+    ).join('')}
+        ${repo.topics.length > 6 ? `<span class="topic-tag">+${repo.topics.length - 6} more</span>` : ''}
+      </div>
+
+      ${this.createAnnotationMarkup(repo)}
+
+      ${this.createCollectionMarkup(repo)}
+      
+      ${homepage ? `
+        <a href="${this.escapeAttribute(homepage)}" target="_blank" rel="noopener noreferrer" class="repo-homepage">
+          <svg class="homepage-icon" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+            <path d="M18 13v6a2 2 0 0 1-2 2H5a2 2 0 0 1-2-2V8a2 2 0 0 1 2-2h6"></path>
+            <polyline points="15,3 21,3 21,9"></polyline>
+            <line x1="10" y1="14" x2="21" y2="3"></line>
+          </svg>
+          Visit Website
+        </a>
+      ` : ''}
+
+      ${repo.starred_at ? `
+        <div class="repo-starred" title="Starred on ${new Date(repo.starred_at).toLocaleString()}">
+          Starred on ${new Date(repo.starred_at).toLocaleDateString(undefined, { year: 'numeric', month: 'short', day: 'numeric' })}
+        </div>
+      ` : ''}
+      
+      <div class="repo-footer">
+        <a href="${this.escapeAttribute(ownerUrl)}" target="_blank" rel="noopener noreferrer" class="repo-owner">
+          <img src="${this.escapeAttribute(avatarUrl)}" alt="${this.escapeAttribute(repo.owner.login)}" class="owner-avatar" loading="lazy" decoding="async">
+          <span class="owner-name">${this.escapeHtml(repo.owner.login)}</span>
+        </a>
+        
+        <div class="repo-meta">
+          <div class="repo-language">
+            <span class="language-dot ${this.escapeAttribute(repo.language.toLowerCase())}" style="background-color: ${this.escapeAttribute(repo.languageColor)}"></span>
+            <span>${this.escapeHtml(repo.language)}</span>
+          </div>
+          <div class="repo-updated" title="Last updated: ${repo.updated_at ? new Date(repo.updated_at).toLocaleDateString() : 'Unknown'}">
+            ${repo.relativeTime}
+          </div>
+        </div>
+      </div>
+    `;
+
+    // Add click handler for external links
+    this.addCardEventListeners(card, repo);
+
+    return card;
+  }
+
+  /**
+   * Create the health badge for a repository
+   */
+  createHealthBadge(repo) {
+    const status = this.getHealthStatuses().find(item => item.id === repo.health);
+    if (!status) return '';
+
+    return `<span class="health-badge ${status.id}" title="${this.escapeAttribute(status.description)}">${status.label}</span>`;
+  }
+
+  /**
+   * Create the badge counting teammates who starred a repository
+   */
+  createStarredByBadge(repo) {
+    if (repo.starred_by.length < 2) return '';
+
+    const names = repo.starred_by.join(', ');
+    return `<span class="starred-by-badge" title="Starred by ${this.escapeAttribute(names)}" aria-label="Starred by ${repo.starred_by.length} people: ${this.escapeAttribute(names)}">👥 ${repo.starred_by.length}</span>`;
+  }
+
+  /**
+   * Create the sparkline and weekly gain shown under a card's star count
+   */
+  createStarTrendMarkup(repo) {
+    if (!repo.starTrend) return '';
+
+    const { perWeek, percentPerWeek } = repo.starTrend;
+    const sign = perWeek >= 0 ? '+' : '−';
+    const gain = `${sign}${this.formatNumber(Math.round(Math.abs(perWeek)))}/wk`;
+    const percent = percentPerWeek === null ? '' : ` (${sign}${Math.abs(percentPerWeek).toFixed(1)}%)`;
+    const first = repo.starHistory[0];
+    const last = repo.starHistory[repo.starHistory.length - 1];
+
+    return `
+      <div class="repo-trend" title="${first.stars.toLocaleString()} stars on ${first.date}, ${last.stars.toLocaleString()} on ${last.date}">
+        ${this.createSparkline(repo.starHistory.map(point => point.stars))}
+        <span class="repo-trend-value${perWeek < 0 ? ' negative' : ''}">${gain}${percent}</span>
+      </div>
+    `;
+  }
+
+  /**
+   * Draw a series of values as an inline SVG polyline
+   */
+  createSparkline(values) {
+    const { width, height } = this.sparklineSize;
+    const min = Math.min(...values);
+    const range = Math.max(...values) - min;
+    const step = width / (values.length - 1);
+    // A flat series is drawn through the middle
+    const getY = value => (range === 0 ? height / 2 : height - 1 - ((value - min) / range) * (height - 2));
+    const points = values.map((value, index) => `${(index * step).toFixed(1)},${getY(value).toFixed(1)}`).join(' ');
+
+    return `
+      <svg class="sparkline" viewBox="0 0 ${width} ${height}" width="${width}" height="${height}" aria-hidden="true" focusable="false">
+        <polyline points="${points}" fill="none" stroke="currentColor" stroke-width="1.5" stroke-linejoin="round" stroke-linecap="round"></polyline>
+      </svg>
+    `;
+  }
+
+  /**
+   * Create the personal rating, tags and note shown on a card
+   */
+  createAnnotationMarkup(repo) {
+    const { note, tags, rating } = this.getAnnotation(repo.id);
+    const hasAnnotation = note || tags.length > 0 || rating > 0;
+
+    return `
+      <div class="repo-annotations">
+        ${rating ? `<span class="annotation-rating" title="Rated ${rating} out of 5" aria-label="Rated ${rating} out of 5">${'★'.repeat(rating)}${'☆'.repeat(5 - rating)}</span>` : ''}
+        ${tags.map(tag => `<span class="annotation-tag">${this.escapeHtml(tag)}</span>`).join('')}
+        ${note ? `<p class="annotation-note">${this.escapeHtml(note)}</p>` : ''}
+        <button type="button" class="annotation-edit-btn" aria-label="${hasAnnotation ? 'Edit' : 'Add'} notes for ${this.escapeAttribute(repo.full_name)}">
+          📝 ${hasAnnotation ? 'Edit notes' : 'Annotate'}
+        </button>
+      </div>
+    `;
+  }
+
+  /**
+   * Replace a card's annotations with an inline editor
+   */
+  openAnnotationEditor(card, repo) {
+    const container = card.querySelector('.repo-annotations');
+    if (!container) return;
+
+    const { note, tags, rating } = this.getAnnotation(repo.id);
+    const form = document.createElement('form');
+    form.className = 'annotation-editor';
+    form.innerHTML = `
+      <label class="annotation-field">
+        <span>Rating</span>
+        <select name="rating">
+          ${[0, 1, 2, 3, 4, 5].map(value =>
+      `<option value="${value}">${value ? '★'.repeat(value) : 'No rating'}</option>`
+    ).join('')}
+        </select>
+      </label>
+      <label class="annotation-field">
+        <span>Tags</span>
+        <input name="tags" type="text" placeholder="evaluated, in prod" autocomplete="off">
+      </label>
+      <label class="annotation-field">
+        <span>Note</span>
+        <textarea name="note" rows="3" placeholder="Private notes about this repository"></textarea>
+      </label>
+      <div class="annotation-actions">
+        <button type="submit" class="annotation-save">Save</button>
+        <button type="button" class="annotation-cancel">Cancel</button>
+      </div>
+    `;
+
+    // Set values through properties so user text never becomes markup
+    form.elements.rating.value = String(rating);
+    form.elements.tags.value = tags.join(', ');
+    form.elements.note.value = note;
+
+    const close = () => {
+      form.replaceWith(container);
+      card.focus();
+    };
+
+    form.addEventListener('submit', (e) => {
+      e.preventDefault();
+      this.setAnnotation(repo, {
+        rating: form.elements.rating.value,
+        tags: form.elements.tags.value,
+        note: form.elements.note.value
+      });
+      this.showToast(`Saved notes for ${repo.full_name}`, 'success', 1500);
+    });
+
+    form.querySelector('.annotation-cancel').addEventListener('click', close);
+
+    // Keep typing inside the editor away from card and global shortcuts
+    form.addEventListener('keydown', (e) => {
+      e.stopPropagation();
+      if (e.key === 'Escape') close();
+    });
+
+    container.replaceWith(form);
+    form.elements.rating.focus();
+  }
+
+  /**
+   * Create the list of collections a repository belongs to
+   */
+  createCollectionMarkup(repo) {
+    const collections = this.getCollectionsForRepository(repo);
+
+    return `
+      <div class="repo-collections">
+        ${collections.map(collection =>
+      `<span class="collection-tag">📁 ${this.escapeHtml(collection.name)}</span>`
+    ).join('')}
+        <button type="button" class="collection-edit-btn" aria-label="Choose collections for ${this.escapeAttribute(repo.full_name)}">
+          ${collections.length > 0 ? 'Edit collections' : '📁 Add to collection'}
+        </button>
+      </div>
+    `;
+  }
+
+  /**
+   * Replace a card's collection list with an inline editor
+   */
+  openCollectionEditor(card, repo) {
+    const container = card.querySelector('.repo-collections');
+    if (!container) return;
+
+    const form = document.createElement('form');
+    form.className = 'annotation-editor collection-editor';
+    form.innerHTML = `
+      <fieldset class="collection-options">
+        <legend class="annotation-field">Collections</legend>
+      </fieldset>
+      <label class="annotation-field">
+        <span>New collection</span>
+        <input name="newCollection" type="text" placeholder="e.g. Remote desktop tools" autocomplete="off">
+      </label>
+      <div class="annotation-actions">
+        <button type="submit" class="annotation-save">Save</button>
+        <button type="button" class="annotation-cancel">Cancel</button>
+      </div>
+    `;
+
+    // Build options through the DOM so collection names never become markup
+    const options = form.querySelector('.collection-options');
+    this.collections.forEach(collection => {
+      const label = document.createElement('label');
+      label.className = 'collection-option';
+
+      const checkbox = document.createElement('input');
+      checkbox.type = 'checkbox';
+      checkbox.value = collection.id;
+      checkbox.checked = this.isRepositoryInCollection(collection, repo);
+
+      const name = document.createElement('span');
+      name.textContent = collection.name;
+
+      label.append(checkbox, name);
+      options.appendChild(label);
+    });
+
+    const close = () => {
+      form.replaceWith(container);
+      card.focus();
+    };
+
+    form.addEventListener('submit', (e) => {
+      e.preventDefault();
+
+      form.querySelectorAll('.collection-option input').forEach(checkbox => {
+        this.setRepositoryInCollection(checkbox.value, repo, checkbox.checked);
+      });
+
+      const newName = form.elements.newCollection.value.trim();
+      if (newName) {
+        const collection = this.createCollection(newName);
+        this.setRepositoryInCollection(collection.id, repo, true);
+      }
+
+      this.writeCollections();
+      this.refreshCollections();
+      this.showToast(`Updated collections for ${repo.full_name}`, 'success', 1500);
+    });
+
+    form.querySelector('.annotation-cancel').addEventListener('click', close);
+
+    // Keep typing inside the editor away from card and global shortcuts
+    form.addEventListener('keydown', (e) => {
+      e.stopPropagation();
+      if (e.key === 'Escape') close();
+    });
+
+    container.replaceWith(form);
+    (form.querySelector('.collection-option input') || form.elements.newCollection).focus();
+  }
+
+  /**
+   * Add event listeners to repository card
+   */
+  addCardEventListeners(card, repo) {
+    // Handle keyboard navigation
+    card.addEventListener('keydown', (e) => {
+      if (e.target !== card) return;
+
+      if (e.key === 'Enter' || e.key === ' ') {
+        e.preventDefault();
+        this.openRepositoryDetail(repo);
+      }
+    });
+
+    // Clicking the card itself (not its links or editors) shows the details
+    card.addEventListener('click', (e) => {
+      if (e.target.closest('a, button, input, textarea, select, label, form')) return;
+      this.openRepositoryDetail(repo);
+    });
+
+    // Add focus capability for accessibility
+    card.setAttribute('tabindex', '0');
+    card.setAttribute('role', 'article');
+    card.setAttribute('aria-label', `Repository: ${repo.name} by ${repo.owner.login}. ${repo.stargazers_count} stars. Language: ${repo.language}`);
+
+    card.querySelector('.annotation-edit-btn')?.addEventListener('click', () => {
+      this.openAnnotationEditor(card, repo);
+    });
+
+    card.querySelector('.collection-edit-btn')?.addEventListener('click', () => {
+      this.openCollectionEditor(card, repo);
+    });
+
+    // Prevent event bubbling on interactive elements
+    const interactiveElements = card.querySelectorAll('a, button');
+    interactiveElements.forEach(element => {
+      element.addEventListener('click', (e) => {
+        e.stopPropagation();
+      });
+    });
+  }
+
+  /**
+   * Open the detail drawer for a repository
+   */
+  openRepositoryDetail(repo, { updateHistory = true } = {}) {
+    const { repoDrawer, repoDrawerBackdrop, repoDrawerTitle, repoDrawerBody, repoDrawerClose } = this.elements;
+    if (!repoDrawer || this.detailRepository === repo) return;
+
+    // Focus returns to whatever opened the drawer
+    if (!this.detailRepository) {
+      this.detailOpener = document.activeElement;
+    }
+    this.detailRepository = repo;
+
+    repoDrawerTitle.textContent = repo.full_name;
+    repoDrawerBody.innerHTML = this.createRepositoryDetailMarkup(repo);
+    repoDrawerBody.scrollTop = 0;
+
+    repoDrawer.hidden = false;
+    repoDrawerBackdrop.hidden = false;
+    document.body.classList.add('drawer-open');
+    requestAnimationFrame(() => repoDrawer.classList.add('open'));
+    repoDrawerClose.focus();
+
+    if (updateHistory) {
+      this.setDetailHash(repo.full_name);
+      this.detailPushedHistory = true;
+    }
+
+    this.announceToScreenReader(`Showing details for ${repo.full_name}. Press Escape to close.`);
+  }
+
+  /**
+   * Close the detail drawer and return focus to the card
+   */
+  closeRepositoryDetail({ updateHistory = true } = {}) {
+    const { repoDrawer, repoDrawerBackdrop } = this.elements;
+    if (!this.detailRepository) return;
+
+    this.detailRepository = null;
+    repoDrawer.classList.remove('open');
+    repoDrawer.hidden = true;
+    repoDrawerBackdrop.hidden = true;
+    document.body.classList.remove('drawer-open');
+
+    // Step back over the entry the drawer added; a link that opened it directly is rewritten
+    if (updateHistory) {
+      if (this.detailPushedHistory) {
+        window.history.back();
+      } else {
+        this.setDetailHash(null, { replace: true });
+      }
+    }
+    this.detailPushedHistory = false;
+
+    if (this.detailOpener?.isConnected) {
+      this.detailOpener.focus({ preventScroll: true });
+    }
+    this.detailOpener = null;
+  }
+
+  /**
+   * Write or remove the repo parameter in the URL hash
+   */
+  setDetailHash(fullName, { replace = false } = {}) {
+    if (!window.history?.pushState) return;
+
+    const url = new URL(window.location.href);
+    const params = new URLSearchParams(url.hash.replace(/^#/, ''));
+
+    if (fullName) {
+      params.set('repo', fullName);
+    } else {
+      params.delete('repo');
+    }
+
+    // Keep owner/name readable in the address bar
+    url.hash = params.toString().replace(/%2F/gi, '/');
+    if (url.href === window.location.href) return;
+
+    if (replace) {
+      window.history.replaceState(window.history.state, '', url);
+    } else {
+      window.history.pushState(window.history.state, '', url);
+    }
+  }
+
+  /**
+   * Open or close the detail drawer to match the #repo= parameter
+   */
+  applyDetailFromUrl() {
+    const fullName = new URLSearchParams(window.location.hash.replace(/^#/, '')).get('repo');
+
+    if (!fullName) {
+      this.closeRepositoryDetail({ updateHistory: false });
+      return;
+    }
+
+    const repo = this.state.repositories.find(candidate =>
+      candidate.full_name?.toLowerCase() === fullName.toLowerCase()
+    );
+
+    if (repo) {
+      this.openRepositoryDetail(repo, { updateHistory: false });
+    } else {
+      this.showToast(`${fullName} is not in this list`, 'info');
+    }
+  }
+
+  /**
+   * Handle the installed app's shortcuts (?action=search) and links shared into it
+   * (?share-url=, see manifest.webmanifest), then drop those parameters from the URL
+   */
+  applyLaunchParams() {
+    const url = new URL(window.location.href);
+    const launchParams = ['action', 'share-url', 'share-text', 'share-title'];
+    if (!launchParams.some(param => url.searchParams.has(param))) return;
+
+    const action = url.searchParams.get('action');
+    const shared = ['share-url', 'share-text', 'share-title']
+      .map(param => url.searchParams.get(param))
+      .filter(Boolean)
+      .join(' ');
+
+    launchParams.forEach(param => url.searchParams.delete(param));
+    window.history.replaceState(window.history.state, '', url);
+
+    if (action === 'search') this.focusSearch();
+    if (shared) this.openSharedLink(shared);
+  }
+
+  /**
+   * Filter to the owner of a shared GitHub link and open the repository it points to
+   */
+  openSharedLink(text) {
+    const target = (text.match(/https?:\/\/(?:www\.)?github\.com\/[^\s<>"']+/gi) || [])
+      .map(href => this.parseGitHubUrl(href.replace(/[).,;:!?]+$/, '')))
+      .find(Boolean);
+
+    if (!target) {
+      this.showToast('The shared link is not a GitHub repository or profile', 'info');
+      return;
+    }
+
+    const owner = target.owner.toLowerCase();
+    const login = this.state.repositories.find(repo => repo.owner?.login?.toLowerCase() === owner)?.owner.login;
+    if (!login) {
+      this.showToast(`${target.name ? `${target.owner}/${target.name}` : target.owner} is not in this list`, 'info');
+      return;
+    }
+
+    // Start from a clean slate so nothing else hides the shared repositories
+    const clearedFacets = Object.fromEntries(Object.values(this.getFacets()).map(({ stateKey }) => [stateKey, []]));
+    this.showSearchError(null);
+    this.setState({ ...clearedFacets, searchTerm: '', selectedCollection: '', hideArchived: false, selectedOwners: [login] });
+    this.syncControlsWithState('');
+
+    if (!target.name) return;
+
+    const fullName = `${owner}/${target.name.toLowerCase()}`;
+    const repo = this.state.repositories.find(candidate => candidate.full_name?.toLowerCase() === fullName);
+    if (repo) {
+      this.openRepositoryDetail(repo);
+    } else {
+      this.showToast(`${target.owner}/${target.name} is not in this list`, 'info');
+    }
+  }
+
+  /**
+   * Keep keyboard focus inside the open drawer
+   */
+  trapDetailFocus(e) {
+    const drawer = this.elements.repoDrawer;
+    const focusable = Array.from(drawer.querySelectorAll(
+      'a[href], button:not([disabled]), input:not([disabled]), textarea, select, [tabindex]:not([tabindex="-1"])'
+    ));
+    if (focusable.length === 0) return;
+
+    const first = focusable[0];
+    const last = focusable[focusable.length - 1];
+
+    if (!drawer.contains(document.activeElement)) {
+      e.preventDefault();
+      first.focus();
+    } else if (e.shiftKey && document.activeElement === first) {
+      e.preventDefault();
+      last.focus();
+    } else if (!e.shiftKey && document.activeElement === last) {
+      e.preventDefault();
+      first.focus();
     }
-    return num.toString();
   }
 
   /**
-   * Get relative time string (e.g., "2 days ago")
+   * Create the detail drawer content for a repository
    */
-  getRelativeTime(dateString) {
-    const date = new Date(dateString);
-    const now = new Date();
-    const diffInSeconds = Math.floor((now - date) / 1000);
+  createRepositoryDetailMarkup(repo) {
+    const formatDate = (date) => (date ? new Date(date).toLocaleDateString(undefined, {
+      year: 'numeric', month: 'short', day: 'numeric'
+    }) : 'Unknown');
+    const repoUrl = this.getSafeUrl(repo.html_url) || '#';
+    const homepage = this.getSafeUrl(repo.homepage);
+    const ownerUrl = this.getSafeUrl(repo.owner.html_url) || '#';
+    const avatarUrl = this.getSafeUrl(repo.owner.avatar_url) || '';
+    const cloneUrls = [
+      { field: 'clone_url', label: 'HTTPS' },
+      { field: 'ssh_url', label: 'SSH' },
+      { field: 'git_url', label: 'Git' }
+    ].filter(({ field }) => repo[field]);
+
+    return `
+      <div class="detail-owner">
+        <img src="${this.escapeAttribute(avatarUrl)}" alt="" class="owner-avatar" loading="lazy">
+        <a href="${this.escapeAttribute(ownerUrl)}" target="_blank" rel="noopener noreferrer">${this.escapeHtml(repo.owner.login)}</a>
+      </div>
 
-    const intervals = [
-      { label: 'year', seconds: 31536000 },
-      { label: 'month', seconds: 2592000 },
-      { label: 'day', seconds: 86400 },
-      { label: 'hour', seconds: 3600 },
-      { label: 'minute', seconds: 60 }
-    ];
+      ${repo.description ? `<p class="detail-description">${this.escapeHtml(repo.description)}</p>` : ''}
+
+      <dl class="detail-meta">
+        <div><dt>Stars</dt><dd>⭐ ${repo.stargazers_count.toLocaleString()}</dd></div>
+        <div><dt>Language</dt><dd>
+          <span class="language-dot" style="background-color: ${repo.languageColor}"></span>
+          ${this.escapeHtml(repo.language)}
+        </dd></div>
+        <div><dt>Created</dt><dd>${formatDate(repo.created_at)}</dd></div>
+        <div><dt>Updated</dt><dd>${formatDate(repo.updated_at)}${repo.updated_at ? ` (${repo.relativeTime})` : ''}</dd></div>
+        ${repo.starred_at ? `<div><dt>Starred</dt><dd>${formatDate(repo.starred_at)}</dd></div>` : ''}
+        ${repo.starred_by.length > 0 ? `<div><dt>Starred by</dt><dd>${repo.starred_by.map(name => this.escapeHtml(name)).join(', ')}</dd></div>` : ''}
+        <div><dt>Health</dt><dd>${this.createHealthBadge(repo)}</dd></div>
+        ${repo.pushed_at ? `<div><dt>Last push</dt><dd>${formatDate(repo.pushed_at)}</dd></div>` : ''}
+        ${Number.isFinite(repo.open_issues_count) ? `<div><dt>Open issues</dt><dd>${repo.open_issues_count.toLocaleString()}</dd></div>` : ''}
+        ${repo.starTrend ? `<div><dt>Trend</dt><dd>${this.createStarTrendMarkup(repo)}</dd></div>` : ''}
+      </dl>
+
+      <div class="detail-links">
+        <a href="${this.escapeAttribute(repoUrl)}" target="_blank" rel="noopener noreferrer" class="detail-link">Open on GitHub</a>
+        ${homepage ? `<a href="${this.escapeAttribute(homepage)}" target="_blank" rel="noopener noreferrer" class="detail-link">Visit website</a>` : ''}
+      </div>
 
-    for (const interval of intervals) {
-      const count = Math.floor(diffInSeconds / interval.seconds);
-      if (count >= 1) {
-        return `${count} ${interval.label}${count > 1 ? 's' : ''} ago`;
-      }
-    }
+      ${repo.topics.length > 0 ? `
+        <section class="detail-section">
+          <h3 class="detail-heading">Topics</h3>
+          <div class="repo-topics">
+            ${repo.topics.map(topic => `
+              <a href="https://github.com/topics/${encodeURIComponent(topic)}" target="_blank" rel="noopener noreferrer" class="topic-tag">${this.escapeHtml(topic)}</a>
+            `).join('')}
+          </div>
+        </section>
+      ` : ''}
+
+      ${cloneUrls.length > 0 ? `
+        <section class="detail-section">
+          <h3 class="detail-heading">Clone</h3>
+          ${cloneUrls.map(({ field, label }) => `
+            <div class="clone-url-row">
+              <span class="clone-url-label">${label}</span>
+              <code class="clone-url">${this.escapeHtml(repo[field])}</code>
+              <button type="button" class="clone-copy-btn" data-clone="${field}" aria-label="Copy ${label} clone URL">Copy</button>
+            </div>
+          `).join('')}
+        </section>
+      ` : ''}
 
-    return 'Just now';
+      ${this.createLanguageBreakdownMarkup(repo.languages)}
+
+      ${repo.readme ? `
+        <section class="detail-section">
+          <h3 class="detail-heading">README</h3>
+          <div class="repo-readme">${this.renderMarkdown(repo.readme, repo.html_url)}</div>
+        </section>
+      ` : ''}
+    `;
   }
 
   /**
-   * Get language color for styling
+   * Create a stacked bar and legend from a cached languages_url response (bytes per language)
    */
-  getLanguageColor(language) {
-    const colors = {
-      'TypeScript': '#3178c6',
-      'JavaScript': '#f1e05a',
-      'Python': '#3572a5',
-      'Java': '#b07219',
-      'HTML': '#e34c26',
-      'CSS': '#563d7c',
-      'SCSS': '#c6538c',
-      'Vue': '#4fc08d',
-      'Go': '#00add8',
-      'Rust': '#dea584',
-      'PHP': '#4f5d95',
-      'Ruby': '#701516',
-      'Swift': '#fa7343',
-      'Kotlin': '#a97bff',
-      'Dart': '#00b4ab',
-      'Shell': '#89e051',
-      'Dockerfile': '#384d54'
-    };
-
-    return colors[language] || '#64748b';
+  createLanguageBreakdownMarkup(languages) {
+    const entries = Object.entries(languages || {})
+      .filter(([, bytes]) => bytes > 0)
+      .sort(([, a], [, b]) => b - a);
+    if (entries.length === 0) return '';
+
+    const total = entries.reduce((sum, [, bytes]) => sum + bytes, 0);
+    const segments = entries.map(([language, bytes]) => ({
+      language,
+      percent: (bytes / total) * 100,
+      color: this.getLanguageColor(language)
+    }));
+    const summary = segments.map(({ language, percent }) => `${language} ${percent.toFixed(1)}%`).join(', ');
+
+    return `
+      <section class="detail-section">
+        <h3 class="detail-heading">Languages</h3>
+        <div class="language-bar" role="img" aria-label="${this.escapeAttribute(summary)}">
+          ${segments.map(({ percent, color }) => `<span class="language-bar-segment" style="width: ${percent}%; background-color: ${color}"></span>`).join('')}
+        </div>
+        <ul class="language-legend">
+          ${segments.map(({ language, percent, color }) => `
+            <li>
+              <span class="language-dot" style="background-color: ${color}"></span>
+              ${this.escapeHtml(language)}
+              <span class="language-percent">${percent.toFixed(1)}%</span>
+            </li>
+          `).join('')}
+        </ul>
+      </section>
+    `;
   }
 
   /**
-   * Render repositories in the grid
+   * Render a cached README to HTML. Raw HTML is dropped and only web and mail links are kept.
    */
-  renderRepositories() {
-    const { filteredRepositories } = this.state;
-
-    // Performance optimization: use requestAnimationFrame for smooth rendering
-    requestAnimationFrame(() => {
-      const fragment = document.createDocumentFragment();
+  renderMarkdown(markdown, repoUrl) {
+    const html = [];
+    let paragraph = [];
+    let list = null;
+    let quote = [];
+    let code = null;
+
+    const inline = (text) => this.renderMarkdownInline(text, repoUrl);
+    const flush = () => {
+      if (paragraph.length > 0) html.push(`<p>${inline(paragraph.join(' '))}</p>`);
+      if (list) html.push(`<${list.tag}>${list.items.map(item => `<li>${inline(item)}</li>`).join('')}</${list.tag}>`);
+      if (quote.length > 0) html.push(`<blockquote>${inline(quote.join(' '))}</blockquote>`);
+      paragraph = [];
+      list = null;
+      quote = [];
+    };
 
-      // Group repositories by language for better organization
-      const groupedRepos = this.groupRepositoriesByLanguage(filteredRepositories);
+    String(markdown).replace(/\r\n?/g, '\n').replace(/<!--[\s\S]*?-->/g, '').split('\n').forEach(rawLine => {
+      // Fenced code blocks are kept verbatim
+      if (code) {
+        if (/^\s*(```|~~~)/.test(rawLine)) {
+          html.push(`<pre><code>${this.escapeHtml(code.join('\n'))}</code></pre>`);
+          code = null;
+        } else {
+          code.push(rawLine);
+        }
+        return;
+      }
 
-      // Render each language section
-      Object.entries(groupedRepos).forEach(([language, repos]) => {
-        // Create language section header
-        const languageSection = this.createLanguageSection(language, repos.length);
-        fragment.appendChild(languageSection);
+      if (/^\s*(```|~~~)/.test(rawLine)) {
+        flush();
+        code = [];
+        return;
+      }
 
-        // Create repository cards with staggered animation
-        repos.forEach((repo, index) => {
-          const card = this.createRepositoryCard(repo, index);
-          fragment.appendChild(card);
-        });
-      });
+      const line = rawLine.replace(/<\/?[a-z][^>]*>/gi, '');
+      const heading = line.match(/^\s{0,3}(#{1,6})\s+(.*?)[\s#]*$/);
+      const item = line.match(/^\s*([-*+]|\d+[.)])\s+(.*)$/);
+      const quoted = line.match(/^\s*>\s?(.*)$/);
+
+      if (heading) {
+        flush();
+        // The drawer title is the only heading above README headings
+        const level = Math.min(heading[1].length + 2, 6);
+        html.push(`<h${level}>${inline(heading[2])}</h${level}>`);
+      } else if (/^\s{0,3}([-*_])(\s*\1){2,}\s*$/.test(line)) {
+        flush();
+        html.push('<hr>');
+      } else if (item) {
+        const tag = /\d/.test(item[1]) ? 'ol' : 'ul';
+        if (!list || list.tag !== tag || paragraph.length > 0 || quote.length > 0) flush();
+        list = list || { tag, items: [] };
+        list.items.push(item[2]);
+      } else if (quoted) {
+        if (paragraph.length > 0 || list) flush();
+        quote.push(quoted[1]);
+      } else if (!line.trim()) {
+        if (rawLine.trim() === line.trim()) flush();
+      } else if (list && /^\s+\S/.test(line)) {
+        list.items[list.items.length - 1] += ` ${line.trim()}`;
+      } else {
+        if (list || quote.length > 0) flush();
+        paragraph.push(line.trim());
+      }
+    });
 
-      // Clear existing content and append new content
-      this.elements.repositoryGrid.innerHTML = '';
-      this.elements.repositoryGrid.appendChild(fragment);
+    if (code) html.push(`<pre><code>${this.escapeHtml(code.join('\n'))}</code></pre>`);
+    flush();
 
-      // Trigger entrance animations
-      this.triggerCardAnimations();
-    });
+    return html.join('\n');
   }
 
   /**
-   * Group repositories by programming language
+   * Render inline Markdown: code spans, images, links, bold, italic and strikethrough
    */
-  groupRepositoriesByLanguage(repositories) {
-    const grouped = {};
-
-    repositories.forEach(repo => {
-      const language = repo.language || 'Other';
-      if (!grouped[language]) {
-        grouped[language] = [];
-      }
-      grouped[language].push(repo);
-    });
+  renderMarkdownInline(text, repoUrl) {
+    // Code spans and generated tags are set aside so emphasis never rewrites them
+    const placeholders = [];
+    const hold = (markup) => `\u0000${placeholders.push(markup) - 1}\u0000`;
+    const resolve = (url, path) => {
+      const resolved = this.getSafeUrl(url.replace(/&amp;/g, '&'), `${repoUrl}/${path}/HEAD/`);
+      return resolved ? this.escapeAttribute(resolved) : null;
+    };
 
-    // Sort languages based on categorization mode
-    const { languageCategory } = this.state;
-    let sortedEntries;
+    // The text is escaped once up front, so alt text only needs its quotes escaped
+    return this.escapeHtml(text)
+      .replace(/`([^`]+)`/g, (match, code) => hold(`<code>${code}</code>`))
+      .replace(/!\[([^\]]*)\]\(([^)\s]+)[^)]*\)/g, (match, alt, url) => {
+        const src = resolve(url, 'raw');
+        return src ? hold(`<img src="${src}" alt="${alt.replace(/"/g, '&quot;')}" loading="lazy">`) : '';
+      })
+      .replace(/\[([^\]]+)\]\(([^)\s]+)[^)]*\)/g, (match, label, url) => {
+        const href = resolve(url, 'blob');
+        return href ? `${hold(`<a href="${href}" target="_blank" rel="noopener noreferrer">`)}${label}${hold('</a>')}` : label;
+      })
+      .replace(/(\*\*|__)(?=\S)(.+?)\1/g, '<strong>$2</strong>')
+      .replace(/(^|[^*\w])([*_])(?=\S)(.+?)\2(?![*\w])/g, '$1<em>$3</em>')
+      .replace(/~~(.+?)~~/g, '<del>$1</del>')
+      .replace(/\u0000(\d+)\u0000/g, (match, index) => placeholders[index]);
+  }
 
-    if (languageCategory === 'recently') {
-      // Sort by the order languages appear in data.json
-      sortedEntries = Object.entries(grouped)
-        .sort(([langA], [langB]) => {
-          const orderA = this.languageOrder[langA] ?? 999;
-          const orderB = this.languageOrder[langB] ?? 999;
-          return orderA - orderB;
-        });
-    } else {
-      // Default: Sort by repository count (descending) - Popular
-      sortedEntries = Object.entries(grouped)
-        .sort(([, a], [, b]) => b.length - a.length);
+  /**
+   * Copy text to the clipboard, falling back to a temporary text area
+   */
+  async copyToClipboard(text, successMessage = 'Copied to clipboard') {
+    try {
+      if (navigator.clipboard?.writeText) {
+        await navigator.clipboard.writeText(text);
+      } else {
+        const textarea = document.createElement('textarea');
+        textarea.value = text;
+        textarea.setAttribute('readonly', '');
+        textarea.style.position = 'fixed';
+        textarea.style.opacity = '0';
+        document.body.appendChild(textarea);
+        textarea.select();
+        document.execCommand('copy');
+        textarea.remove();
+      }
+      this.showToast(successMessage, 'success', 1500);
+    } catch (error) {
+      console.error('Failed to copy to clipboard:', error);
+      this.showToast('Could not copy to the clipboard', 'error');
     }
-
-    return Object.fromEntries(sortedEntries);
   }
 
   /**
-   * Create language section header
+   * Load the snapshot index; the What's new panel stays hidden without one
    */
-  createLanguageSection(language, count) {
-    const section = document.createElement('div');
-    section.className = 'language-section';
+  async loadSnapshotIndex() {
+    try {
+      const response = await fetch(this.snapshotIndexUrl);
+      if (!response.ok) return;
+      this.snapshots = this.parseSnapshotIndex(await response.json());
+    } catch (error) {
+      console.warn('Failed to load snapshot index:', error);
+      this.snapshots = [];
+    }
 
-    section.innerHTML = `
-      <div class="language-header">
-        <h2 class="language-title">
-          <span class="language-dot ${language.toLowerCase()}" style="background-color: ${this.getLanguageColor(language)}"></span>
-          ${language}
-        </h2>
-        <span class="language-count">${count} ${count === 1 ? 'repository' : 'repositories'}</span>
-      </div>
-    `;
+    if (this.snapshots.length === 0) return;
 
-    return section;
+    // The newest snapshot usually matches data.json, so compare against the one before it
+    this.snapshotRange = {
+      from: (this.snapshots[1] || this.snapshots[0]).file,
+      to: 'current'
+    };
+    if (this.elements.toggleWhatsNew) this.elements.toggleWhatsNew.hidden = false;
   }
 
   /**
-   * Create a repository card element
+   * Validate a snapshot index into { date, file } entries, newest first
    */
-  createRepositoryCard(repo, index = 0) {
-    const card = document.createElement('article');
-    card.className = 'repo-card';
-    card.style.animationDelay = `${Math.min(index * 100, 600)}ms`;
+  parseSnapshotIndex(payload) {
+    const entries = Array.isArray(payload) ? payload : payload?.snapshots;
+    if (!Array.isArray(entries)) return [];
+
+    return entries
+      .map(entry => (typeof entry === 'string' ? { date: entry, file: `snapshots/${entry}.json` } : entry))
+      .filter(entry => entry && typeof entry.date === 'string' && typeof entry.file === 'string')
+      .map(({ date, file }) => ({ date, file }))
+      .sort((a, b) => b.date.localeCompare(a.date));
+  }
 
-    // Create card content
-    card.innerHTML = `
-      <div class="repo-header">
-        <div class="repo-title">
-          <a href="${repo.html_url}" target="_blank" rel="noopener noreferrer" class="repo-name">
-            ${this.escapeHtml(repo.name)}
-          </a>
-          <div class="repo-full-name">${this.escapeHtml(repo.full_name)}</div>
-        </div>
-        <div class="repo-stars">
-          <span class="star-icon">⭐</span>
-          <span class="star-count">${repo.formattedStars}</span>
-        </div>
-      </div>
-      
-      ${repo.description ? `<p class="repo-description">${this.escapeHtml(repo.description)}</p>` : ''}
-      
-      <div class="repo-topics">
-        ${repo.topics.slice(0, 6).map(topic =>
-      `<a href="https://github.com/topics/${encodeURIComponent(topic)}" 
-             target="_blank" 
-             rel="noopener noreferrer" 
-             class="topic-tag">${this.escapeHtml(topic)}</a>`
-    ).join('')}
-        ${repo.topics.length > 6 ? `<span class="topic-tag">+${repo.topics.length - 6} more</span>` : ''}
-      </div>
-      
-      ${repo.homepage ? `
-        <a href="${repo.homepage}" target="_blank" rel="noopener noreferrer" class="repo-homepage">
-          <svg class="homepage-icon" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
-            <path d="M18 13v6a2 2 0 0 1-2 2H5a2 2 0 0 1-2-2V8a2 2 0 0 1 2-2h6"></path>
-            <polyline points="15,3 21,3 21,9"></polyline>
-            <line x1="10" y1="14" x2="21" y2="3"></line>
-          </svg>
-          Visit Website
-        </a>
-      ` : ''}
-      
-      <div class="repo-footer">
-        <a href="${repo.owner.html_url}" target="_blank" rel="noopener noreferrer" class="repo-owner">
-          <img src="${repo.owner.avatar_url}" alt="${this.escapeHtml(repo.owner.login)}" class="owner-avatar" loading="lazy" decoding="async">
-          <span class="owner-name">${this.escapeHtml(repo.owner.login)}</span>
-        </a>
-        
-        <div class="repo-meta">
-          <div class="repo-language">
-            <span class="language-dot ${repo.language.toLowerCase()}" style="background-color: ${repo.languageColor}"></span>
-            <span>${this.escapeHtml(repo.language)}</span>
-          </div>
-          <div class="repo-updated" title="Last updated: ${new Date(repo.updated_at).toLocaleDateString()}">
-            ${repo.relativeTime}
-          </div>
-        </div>
-      </div>
-    `;
+  /**
+   * Load and normalize a snapshot, or return the loaded data for 'current'
+   */
+  loadSnapshot(file) {
+    if (file === 'current') return Promise.resolve(this.state.repositories);
+
+    if (!this.snapshotCache.has(file)) {
+      const request = fetch(file)
+        .then(response => {
+          if (!response.ok) throw new Error(`HTTP error! status: ${response.status}`);
+          return response.json();
+        })
+        .then(data => this.normalizeRepositoryData(data).repositories)
+        .catch(error => {
+          // Let a later attempt try again
+          this.snapshotCache.delete(file);
+          throw error;
+        });
+      this.snapshotCache.set(file, request);
+    }
 
-    // Add click handler for external links
-    this.addCardEventListeners(card, repo);
+    return this.snapshotCache.get(file);
+  }
 
-    return card;
+  /**
+   * Compare two sets of normalized repositories
+   */
+  diffSnapshots(before, after) {
+    const beforeById = new Map(before.map(repo => [repo.id, repo]));
+    const afterById = new Map(after.map(repo => [repo.id, repo]));
+    const kept = after.filter(repo => beforeById.has(repo.id));
+
+    return {
+      added: after.filter(repo => !beforeById.has(repo.id)),
+      removed: before.filter(repo => !afterById.has(repo.id)),
+      starGains: kept
+        .map(repo => ({ repo, delta: repo.stargazers_count - beforeById.get(repo.id).stargazers_count }))
+        .filter(({ delta }) => delta > 0)
+        .sort((a, b) => b.delta - a.delta),
+      archived: kept.filter(repo => repo.archived && !beforeById.get(repo.id).archived),
+      renamed: kept
+        .filter(repo => repo.full_name !== beforeById.get(repo.id).full_name)
+        .map(repo => ({ repo, previousName: beforeById.get(repo.id).full_name }))
+    };
   }
 
   /**
-   * Add event listeners to repository card
+   * Show or hide the What's new panel
    */
-  addCardEventListeners(card, repo) {
-    // Handle keyboard navigation
-    card.addEventListener('keydown', (e) => {
-      if (e.key === 'Enter' || e.key === ' ') {
-        e.preventDefault();
-        window.open(repo.html_url, '_blank', 'noopener,noreferrer');
-      }
-    });
+  toggleWhatsNew(open = this.elements.whatsNewPanel?.hidden) {
+    const { whatsNewPanel, toggleWhatsNew } = this.elements;
+    if (!whatsNewPanel) return;
 
-    // Add focus capability for accessibility
-    card.setAttribute('tabindex', '0');
-    card.setAttribute('role', 'article');
-    card.setAttribute('aria-label', `Repository: ${repo.name} by ${repo.owner.login}. ${repo.stargazers_count} stars. Language: ${repo.language}`);
+    whatsNewPanel.hidden = !open;
+    toggleWhatsNew?.setAttribute('aria-expanded', String(open));
 
-    // Prevent event bubbling on interactive elements
-    const interactiveElements = card.querySelectorAll('a, button');
-    interactiveElements.forEach(element => {
-      element.addEventListener('click', (e) => {
-        e.stopPropagation();
-      });
-    });
+    if (open) {
+      this.renderWhatsNew();
+      this.elements.whatsNewFrom?.focus();
+    } else {
+      toggleWhatsNew?.focus();
+    }
   }
 
   /**
-   * Trigger staggered entrance animations for cards
+   * Render the changes between the selected snapshots
    */
-  triggerCardAnimations() {
-    const cards = this.elements.repositoryGrid.querySelectorAll('.repo-card');
+  async renderWhatsNew() {
+    const { whatsNewFrom, whatsNewTo, whatsNewBody } = this.elements;
+    if (!whatsNewBody) return;
+
+    const renderId = ++this.whatsNewRenderId;
+    const { from, to } = this.snapshotRange;
+    const options = [
+      { value: 'current', label: 'Current data' },
+      ...this.snapshots.map(snapshot => ({ value: snapshot.file, label: snapshot.date }))
+    ];
+    const optionMarkup = (selected) => options.map(option =>
+      `<option value="${this.escapeAttribute(option.value)}"${option.value === selected ? ' selected' : ''}>${this.escapeHtml(option.label)}</option>`
+    ).join('');
 
-    // Reset animations
-    cards.forEach(card => {
-      card.style.animation = 'none';
-      card.offsetHeight; // Trigger reflow
-      card.style.animation = null;
-    });
+    whatsNewFrom.innerHTML = optionMarkup(from);
+    whatsNewTo.innerHTML = optionMarkup(to);
+    whatsNewBody.innerHTML = '<p class="whats-new-status">Comparing snapshots…</p>';
 
-    // Observe cards for intersection-based animations
-    if ('IntersectionObserver' in window) {
-      const observer = new IntersectionObserver((entries) => {
-        entries.forEach(entry => {
-          if (entry.isIntersecting) {
-            entry.target.classList.add('animate-in');
-            observer.unobserve(entry.target);
-          }
-        });
-      }, {
-        threshold: 0.1,
-        rootMargin: '50px'
-      });
+    try {
+      const [before, after] = await Promise.all([this.loadSnapshot(from), this.loadSnapshot(to)]);
+      if (renderId !== this.whatsNewRenderId) return;
 
-      cards.forEach(card => {
-        observer.observe(card);
-      });
+      whatsNewBody.innerHTML = this.createWhatsNewMarkup(this.diffSnapshots(before, after));
+    } catch (error) {
+      if (renderId !== this.whatsNewRenderId) return;
+      console.error('Failed to compare snapshots:', error);
+      whatsNewBody.innerHTML = '<p class="whats-new-status">Could not load the selected snapshots.</p>';
     }
   }
 
   /**
-   * Escape HTML to prevent XSS attacks
+   * Create the lists of changes for the What's new panel
    */
-  escapeHtml(text) {
-    if (!text) return '';
-    const div = document.createElement('div');
-    div.textContent = text;
-    return div.innerHTML;
+  createWhatsNewMarkup(diff) {
+    const currentIds = new Set(this.state.repositories.map(repo => repo.id));
+    const repoLink = (repo, label = repo.full_name) => (currentIds.has(repo.id)
+      ? `<button type="button" class="whats-new-repo" data-repo-id="${repo.id}">${this.escapeHtml(label)}</button>`
+      : `<a href="${this.escapeAttribute(repo.html_url)}" target="_blank" rel="noopener noreferrer" class="whats-new-repo">${this.escapeHtml(label)}</a>`);
+
+    const sections = [
+      {
+        title: 'Newly starred',
+        items: diff.added.map(repo => `${repoLink(repo)} <span class="whats-new-detail">⭐ ${repo.formattedStars}</span>`)
+      },
+      {
+        title: 'Unstarred',
+        items: diff.removed.map(repo => repoLink(repo))
+      },
+      {
+        title: 'Biggest star gains',
+        items: diff.starGains.map(({ repo, delta }) => `${repoLink(repo)} <span class="whats-new-detail">+${this.formatNumber(delta)}</span>`)
+      },
+      {
+        title: 'Archived',
+        items: diff.archived.map(repo => repoLink(repo))
+      },
+      {
+        title: 'Renamed',
+        items: diff.renamed.map(({ repo, previousName }) => `<span class="whats-new-detail">${this.escapeHtml(previousName)} →</span> ${repoLink(repo)}`)
+      }
+    ].filter(section => section.items.length > 0);
+
+    if (sections.length === 0) {
+      return '<p class="whats-new-status">No changes between these snapshots.</p>';
+    }
+
+    return sections.map(({ title, items }) => `
+      <section class="whats-new-section">
+        <h3 class="whats-new-section-title">${title} <span class="whats-new-count">${items.length}</span></h3>
+        <ul class="whats-new-list">
+          ${items.slice(0, this.whatsNewItemLimit).map(item => `<li>${item}</li>`).join('')}
+        </ul>
+        ${items.length > this.whatsNewItemLimit ? `<p class="whats-new-more">and ${items.length - this.whatsNewItemLimit} more</p>` : ''}
+      </section>
+    `).join('');
   }
 
   /**
@@ -1419,17 +5037,22 @@ class GitHubShowcase {
       this.setState({ isLoading: true, error: null });
       this.updateLoadingProgress(10, true);
 
-      const response = await fetch('data.json');
+      // Annotations feed the search text, so they must be ready before processing
+      const [data] = await Promise.all([
+        this.loadDataSources(),
+        this.loadAnnotations(),
+        this.loadCollections(),
+        this.loadStarHistory()
+      ]);
       this.updateLoadingProgress(30, true);
 
-      if (!response.ok) {
-        throw new Error(`HTTP error! status: ${response.status}`);
-      }
-
-      const data = await response.json();
+      this.rawData = data;
+      this.loadImportedStars();
       this.updateLoadingProgress(60, true);
 
-      const repositories = this.processRepositoryData(data);
+      const repositories = this.processRepositoryData(
+        this.mergeImportedRepositories(data, this.importedRepositories)
+      );
       this.updateLoadingProgress(80, true);
 
       const languages = this.extractLanguages(repositories);
@@ -1444,6 +5067,8 @@ class GitHubShowcase {
 
       this.populateLanguageFilter(languages);
       this.populateQuickFilters();
+      this.populateCollectionFilters();
+      this.updateImportedControls();
 
       this.updateLoadingProgress(100, true);
 
@@ -1463,8 +5088,10 @@ class GitHubShowcase {
         error: error.message || 'Failed to load repository data'
       });
 
-      // Show error toast
-      this.showToast('Failed to load repository data', 'error');
+      // The offline state explains itself; other failures get a toast
+      if (!this.state.isOffline) {
+        this.showToast('Failed to load repository data', 'error');
+      }
       throw error;
     }
   }
@@ -1483,6 +5110,7 @@ class GitHubShowcase {
 
     // Show immediate feedback for empty search
     if (searchTerm.trim() === '') {
+      this.showSearchError(null);
       this.setState({ searchTerm: '' });
       this.render();
       return;
@@ -1493,8 +5121,14 @@ class GitHubShowcase {
 
     // Debounce search to avoid excessive filtering
     this.debounceTimer = setTimeout(() => {
-      this.setState({ searchTerm: searchTerm.trim() });
       this.elements.searchInput.classList.remove('searching');
+
+      // Keep the previous results and explain the problem instead of showing nothing
+      const { error } = this.parseSearchQuery(searchTerm.trim());
+      this.showSearchError(error);
+      if (error) return;
+
+      this.setState({ searchTerm: searchTerm.trim() });
       this.render();
 
       // Show search results toast
@@ -1705,18 +5339,20 @@ class GitHubShowcase {
    * Handle card tap on mobile
    */
   handleCardTap(card, event) {
-    // Find the repository URL
-    const repoLink = card.querySelector('.repo-name');
-    if (repoLink) {
+    // Links and editors inside the card handle their own taps
+    if (event.target.closest('a, button, input, textarea, select, label, form')) return;
+
+    const item = this.gridLayout?.items[Number(card.getAttribute('data-index'))];
+    if (item) {
       // Add visual feedback
       card.style.transform = 'scale(0.98)';
       setTimeout(() => {
         card.style.transform = '';
       }, 150);
 
-      // Open link after animation
+      // Show details after animation
       setTimeout(() => {
-        window.open(repoLink.href, '_blank', 'noopener,noreferrer');
+        this.openRepositoryDetail(item.repo);
       }, 100);
     }
   }
@@ -1852,6 +5488,17 @@ class GitHubShowcase {
    * Handle keyboard navigation
    */
   handleKeyboardNavigation(e) {
+    // The detail drawer is modal: it keeps focus and only answers to Escape
+    if (this.detailRepository) {
+      if (e.key === 'Escape') {
+        e.preventDefault();
+        this.closeRepositoryDetail();
+      } else if (e.key === 'Tab') {
+        this.trapDetailFocus(e);
+      }
+      return;
+    }
+
     // Global keyboard shortcuts
     if (e.ctrlKey || e.metaKey) {
       switch (e.key) {
@@ -1918,7 +5565,7 @@ class GitHubShowcase {
     }
 
     // Reset filters if any are active
-    if (this.state.searchTerm || this.state.selectedLanguage) {
+    if (this.state.searchTerm || this.state.selectedCollection || this.hasActiveFacets()) {
       this.resetFilters();
       this.announceToScreenReader('All filters cleared.');
       return;
@@ -1934,40 +5581,88 @@ class GitHubShowcase {
    * Handle arrow key navigation for repository cards
    */
   handleArrowNavigation(e) {
-    const cards = Array.from(document.querySelectorAll('.repo-card'));
-    const currentIndex = cards.indexOf(document.activeElement);
+    const layout = this.gridLayout;
+    const card = document.activeElement;
 
-    if (currentIndex === -1) return;
+    if (!layout || !card?.classList.contains('repo-card')) return;
+
+    // Navigate the grid layout rather than the DOM, which may not hold every row
+    const current = layout.items[Number(card.getAttribute('data-index'))];
+    if (!current) return;
 
     let nextIndex;
-    const columns = this.getGridColumns();
 
     switch (e.key) {
       case 'ArrowUp':
-        nextIndex = Math.max(0, currentIndex - columns);
+        nextIndex = this.getAdjacentRowItem(current, -1);
         break;
       case 'ArrowDown':
-        nextIndex = Math.min(cards.length - 1, currentIndex + columns);
+        nextIndex = this.getAdjacentRowItem(current, 1);
         break;
       case 'ArrowLeft':
-        nextIndex = Math.max(0, currentIndex - 1);
+        nextIndex = Math.max(0, current.index - 1);
         break;
       case 'ArrowRight':
-        nextIndex = Math.min(cards.length - 1, currentIndex + 1);
+        nextIndex = Math.min(layout.items.length - 1, current.index + 1);
         break;
     }
 
-    if (nextIndex !== undefined && cards[nextIndex]) {
+    if (nextIndex !== undefined) {
       e.preventDefault();
-      cards[nextIndex].focus();
-      this.scrollIntoViewIfNeeded(cards[nextIndex]);
+      this.focusGridItem(nextIndex);
+    }
+  }
+
+  /**
+   * Get the item in the same column of the previous or next card row, across section headers
+   */
+  getAdjacentRowItem(item, direction) {
+    const { rows } = this.gridLayout;
+
+    for (let rowIndex = item.row + direction; rowIndex >= 0 && rowIndex < rows.length; rowIndex += direction) {
+      if (rows[rowIndex].type !== 'cards') continue;
+
+      const rowItems = rows[rowIndex].items;
+      return rowItems[Math.min(item.column, rowItems.length - 1)].index;
+    }
+
+    return item.index;
+  }
+
+  /**
+   * Focus a grid item, rendering its row first if it is outside the window
+   */
+  focusGridItem(index) {
+    const layout = this.gridLayout;
+    const item = layout.items[index];
+    const findCard = () => this.elements.repositoryGrid.querySelector(`.repo-card[data-index="${index}"]`);
+
+    let card = findCard();
+    if (!card) {
+      const gridTop = this.elements.repositoryGrid.getBoundingClientRect().top + window.pageYOffset;
+      window.scrollTo(0, gridTop + layout.offsets[item.row] - window.innerHeight / 3);
+      this.updateVirtualWindow(item.row);
+      card = findCard();
+    }
+
+    if (card) {
+      card.focus();
+      this.scrollIntoViewIfNeeded(card);
     }
   }
 
   /**
-   * Get current grid columns for navigation
+   * Get current grid columns for navigation and layout
    */
   getGridColumns() {
+    // Count the tracks the browser resolved for the CSS grid
+    const grid = this.elements.repositoryGrid;
+    const tracks = grid ? window.getComputedStyle(grid).gridTemplateColumns : '';
+    if (tracks && !/repeat|none|auto|fr/.test(tracks)) {
+      return tracks.trim().split(/\s+/).length;
+    }
+
+    // Fall back to the breakpoints in styles.css
     const width = window.innerWidth;
     if (width <= 768) return 1;
     if (width <= 1024) return 2;
@@ -2048,15 +5743,7 @@ class GitHubShowcase {
   handleActivation(e) {
     const target = e.target;
 
-    // Handle repository card activation
-    if (target.classList.contains('repo-card')) {
-      e.preventDefault();
-      const repoLink = target.querySelector('.repo-name');
-      if (repoLink) {
-        window.open(repoLink.href, '_blank', 'noopener,noreferrer');
-        this.announceToScreenReader(`Opening ${repoLink.textContent} repository in new tab.`);
-      }
-    }
+    // Repository cards open their details from their own keydown handler
 
     // Handle quick filter activation
     if (target.classList.contains('quick-filter-btn')) {
@@ -2113,7 +5800,7 @@ class GitHubShowcase {
     const searchInput = this.elements.searchInput;
     if (searchInput) {
       searchInput.setAttribute('aria-label', 'Search repositories by name, description, or topics');
-      searchInput.setAttribute('aria-describedby', 'search-help');
+      searchInput.setAttribute('aria-describedby', 'search-help searchError');
     }
 
     // Update language filter
@@ -2289,7 +5976,7 @@ class GitHubShowcase {
   announceSearchResults() {
     const count = this.state.filteredRepositories.length;
     const searchTerm = this.state.searchTerm;
-    const language = this.state.selectedLanguage;
+    const languages = this.state.selectedLanguages;
 
     let message = `Found ${count} repositories`;
 
@@ -2297,8 +5984,8 @@ class GitHubShowcase {
       message += ` matching "${searchTerm}"`;
     }
 
-    if (language) {
-      message += ` in ${language}`;
+    if (languages.length > 0) {
+      message += ` in ${languages.join(', ')}`;
     }
 
     if (this.elements.searchLiveRegion) {
@@ -2592,74 +6279,6 @@ class GitHubShowcase {
     };
   }
 
-  /**
-   * Optimize rendering with virtual scrolling for large datasets
-   */
-  optimizeRendering() {
-    // Implement virtual scrolling if we have many repositories
-    if (this.state.repositories.length > 100) {
-      this.enableVirtualScrolling();
-    }
-  }
-
-  /**
-   * Enable virtual scrolling for large datasets
-   */
-  enableVirtualScrolling() {
-    // Simple virtual scrolling implementation
-    const container = this.elements.repositoryGrid;
-    const itemHeight = 300; // Approximate card height
-    const containerHeight = window.innerHeight;
-    const visibleItems = Math.ceil(containerHeight / itemHeight) + 2; // Buffer
-
-    let scrollTop = 0;
-    let startIndex = 0;
-
-    const updateVisibleItems = () => {
-      const newStartIndex = Math.floor(scrollTop / itemHeight);
-      const endIndex = Math.min(newStartIndex + visibleItems, this.state.filteredRepositories.length);
-
-      if (newStartIndex !== startIndex) {
-        startIndex = newStartIndex;
-        this.renderVisibleItems(startIndex, endIndex);
-      }
-    };
-
-    // Throttled scroll handler
-    let ticking = false;
-    const handleScroll = () => {
-      scrollTop = window.pageYOffset;
-
-      if (!ticking) {
-        requestAnimationFrame(() => {
-          updateVisibleItems();
-          ticking = false;
-        });
-        ticking = true;
-      }
-    };
-
-    window.addEventListener('scroll', handleScroll, { passive: true });
-  }
-
-  /**
-   * Render only visible items for virtual scrolling
-   */
-  renderVisibleItems(startIndex, endIndex) {
-    const fragment = document.createDocumentFragment();
-
-    for (let i = startIndex; i < endIndex; i++) {
-      const repo = this.state.filteredRepositories[i];
-      if (repo) {
-        const card = this.createRepositoryCard(repo, i - startIndex);
-        fragment.appendChild(card);
-      }
-    }
-
-    this.elements.repositoryGrid.innerHTML = '';
-    this.elements.repositoryGrid.appendChild(fragment);
-  }
-
   /**
    * Add error boundaries for better error handling
    */
@@ -2724,6 +6343,7 @@ class GitHubShowcase {
   initializeOptimizations() {
     this.initializePerformanceOptimizations();
     this.optimizeSearch();
+    this.setupVirtualScrolling();
     this.addErrorBoundaries();
 
     // Log performance metrics in development
@@ -2736,13 +6356,15 @@ class GitHubShowcase {
 }
 
 // Initialize the application when DOM is loaded
-document.addEventListener('DOMContentLoaded', () => {
-  const showcase = new GitHubShowcase();
-  showcase.init();
-
-  // Expose to global scope for testing
-  window.showcase = showcase;
-});
+if (typeof document !== 'undefined') {
+  document.addEventListener('DOMContentLoaded', () => {
+    const showcase = new GitHubShowcase();
+    showcase.init();
+
+    // Expose to global scope for testing
+    window.showcase = showcase;
+  });
+}
 
 // Export for potential testing
 if (typeof module !== 'undefined' && module.exports) {
@@ -0,0 +1,1857 @@
+/**
+ * Repository data core shared by index.html and index-simple.html
+ * Loads and normalizes data sources, searches, filters and sorts repositories, and
+ * renders the simple list, card and compact table view modes
+ */
+
+class RepositoryCore {
+  constructor() {
+    this.state = {
+      repositories: [],
+      filteredRepositories: [],
+      searchTerm: '',
+      selectedLanguages: [],
+      selectedTopics: [],
+      selectedOwners: [],
+      selectedStarRanges: [],
+      selectedUpdatedRanges: [],
+      selectedHealth: [],
+      selectedStarredBy: [],
+      hideArchived: false,
+      selectedCollection: '',
+      sortBy: 'relevance', // Best match while searching, recent likes otherwise
+      sortOrder: 'desc', // 'asc' or 'desc'; each sort has its own default, see getDefaultSortOrder()
+      hiddenTableColumns: ['description'], // Keys of getTableColumns() left out of the table view
+      facetBaseRepositories: [], // Search and collection matches before facets apply
+      languageCategory: 'recently' // 'popular' or 'recently'
+    };
+
+    // Tunable ranking for the fuzzy search index
+    this.searchOptions = {
+      boosts: {
+        name: 10,
+        topics: 8,
+        language: 6,
+        description: 5,
+        owner: 4,
+        annotations: 7
+      },
+      k1: 1.2,
+      b: 0.75,
+      prefixWeight: 0.8,
+      fuzzyWeights: [1, 0.6, 0.4], // Indexed by edit distance
+      minPrefixLength: 2
+    };
+    this.searchIndex = null;
+    this.languageOrder = {}; // Language -> position in data.json, for the "Recently" order
+
+    // Notes, tags and ratings keyed by repository id, and named collections. Pages that
+    // support them load these; search qualifiers and the collection filter read them.
+    this.annotations = {};
+    this.collections = [];
+
+    // Star counts per snapshot date, for card sparklines and the trend sorts
+    this.starHistoryUrl = 'snapshots/stars.json';
+    this.starHistory = null; // { dates, stars: { id: [count or null per date] } }
+
+    // Open issues that mark an otherwise healthy repository as slowing: at least `min`
+    // and more than `ratio` of its stars
+    this.healthIssueBacklog = { min: 100, ratio: 0.1 };
+
+    // Where stars are loaded from. sources.json can list several labelled sources, e.g.
+    // one per teammate, each read by an adapter from getDataSourceAdapters(); ?source=
+    // overrides it for one visit. Without either the page shows data.json alone.
+    this.dataSourcesUrl = 'sources.json';
+    this.dataSources = [{ label: '', type: 'json', url: 'data.json' }];
+    this.giteaPageSize = 50;
+    this.giteaMaxPages = 100;
+  }
+
+  /**
+   * Merge state, filtering and sorting again when the inputs to either change
+   */
+  setState(newState) {
+    this.state = { ...this.state, ...newState };
+
+    // Update filtered repositories when relevant state changes
+    const facetKeys = Object.values(this.getFacets()).map(facet => facet.stateKey);
+    if (newState.hasOwnProperty('repositories') ||
+      newState.hasOwnProperty('searchTerm') ||
+      newState.hasOwnProperty('selectedCollection') ||
+      newState.hasOwnProperty('hideArchived') ||
+      facetKeys.some(key => newState.hasOwnProperty(key))) {
+      this.updateFilteredRepositories();
+    }
+
+    // Sort repositories when sort criteria changes
+    if (newState.hasOwnProperty('sortBy') || newState.hasOwnProperty('sortOrder')) {
+      this.sortRepositories();
+    }
+  }
+
+  /**
+   * Report a message to the user. Pages replace this with their own notifications.
+   */
+  showToast(message, type = 'info') {
+    if (type === 'error') console.warn(message);
+  }
+
+  /**
+   * Load every configured data source and merge them. A single unlabelled source
+   * is returned as it is.
+   */
+  async loadDataSources(sources = null) {
+    this.dataSources = sources || await this.loadDataSourceConfig();
+
+    if (this.dataSources.length === 1 && !this.dataSources[0].label) {
+      return this.fetchDataSource(this.dataSources[0]);
+    }
+
+    const results = await Promise.allSettled(this.dataSources.map(source => this.fetchDataSource(source)));
+    const loaded = [];
+    const failed = [];
+
+    results.forEach((result, index) => {
+      const source = this.dataSources[index];
+      if (result.status === 'fulfilled') {
+        loaded.push({ source, data: result.value });
+      } else {
+        console.warn(`Failed to load data source ${source.url}:`, result.reason);
+        failed.push(source.label || source.url);
+      }
+    });
+
+    if (loaded.length === 0) throw results[0].reason;
+    if (failed.length > 0) {
+      this.showToast(`Could not load stars for ${failed.join(', ')}`, 'error', 5000);
+    }
+
+    return this.mergeDataSources(loaded);
+  }
+
+  /**
+   * Read ?source= or sources.json, falling back to data.json alone when both are missing
+   */
+  async loadDataSourceConfig() {
+    const fallback = [{ label: '', type: 'json', url: 'data.json' }];
+
+    const fromUrl = this.getDataSourceFromUrl();
+    if (fromUrl) return [fromUrl];
+
+    try {
+      const response = await fetch(this.dataSourcesUrl);
+      if (!response.ok) return fallback;
+
+      const sources = this.parseDataSources(await response.json());
+      return sources.length > 0 ? sources : fallback;
+    } catch (error) {
+      console.warn('Failed to load sources.json:', error);
+      return fallback;
+    }
+  }
+
+  /**
+   * Validate data sources into { label, type, url } entries with unique labels.
+   * The type defaults to json, or jsonl for .jsonl and .ndjson files.
+   */
+  parseDataSources(payload) {
+    const entries = Array.isArray(payload) ? payload : payload?.sources;
+    if (!Array.isArray(entries)) return [];
+
+    const adapters = this.getDataSourceAdapters();
+    const labels = new Set();
+    return entries
+      .filter(entry => entry && typeof entry.url === 'string' && entry.url.trim())
+      .map(entry => {
+        const url = entry.url.trim();
+        return {
+          label: typeof entry.label === 'string' && entry.label.trim() ? entry.label.trim() : url,
+          type: typeof entry.type === 'string' ? entry.type.trim().toLowerCase() : this.guessDataSourceType(url),
+          url
+        };
+      })
+      .filter(entry => {
+        if (!adapters[entry.type] || !adapters[entry.type].fromUrl) {
+          console.warn(`Unknown data source type "${entry.type}" for ${entry.url}`);
+          return false;
+        }
+        if (labels.has(entry.label)) return false;
+        labels.add(entry.label);
+        return true;
+      });
+  }
+
+  /**
+   * Read a one-off source from ?source=[type:]url, e.g. ?source=jsonl:stars.jsonl or
+   * ?source=gitea:http://localhost:3000/api/v1/users/alice/starred. Shared links could
+   * point anywhere, so only this site and localhost are accepted.
+   */
+  getDataSourceFromUrl() {
+    const value = new URLSearchParams(window.location.search).get('source');
+    if (!value) return null;
+
+    const adapters = this.getDataSourceAdapters();
+    const separator = value.indexOf(':');
+    const prefix = separator > 0 ? value.slice(0, separator).toLowerCase() : '';
+    const type = adapters[prefix]?.fromUrl ? prefix : null;
+    const href = type ? value.slice(separator + 1) : value;
+
+    let url;
+    try {
+      url = new URL(href, window.location.href);
+    } catch (error) {
+      url = null;
+    }
+
+    const isLocal = url && (url.origin === window.location.origin ||
+      ['localhost', '127.0.0.1', '[::1]'].includes(url.hostname));
+    if (!isLocal) {
+      console.warn(`Ignoring ?source=${value}: only this site and localhost can be loaded from a link`);
+      return null;
+    }
+
+    return { label: '', type: type || this.guessDataSourceType(href), url: href };
+  }
+
+  /**
+   * Guess the adapter for a URL or file name from its extension
+   */
+  guessDataSourceType(name) {
+    return /\.(jsonl|ndjson)(\?|#|$)/i.test(name) ? 'jsonl' : 'json';
+  }
+
+  /**
+   * Adapters that load a data source. Each returns repositories in the data.json shape
+   * (a language-keyed object or a plain array) for the shared normalization pipeline.
+   * `fromUrl` adapters can be named in sources.json and ?source=.
+   */
+  getDataSourceAdapters() {
+    return {
+      json: {
+        label: 'JSON',
+        fromUrl: true,
+        load: async source => (await this.fetchDataSourceResponse(source.url)).json()
+      },
+      jsonl: {
+        label: 'JSON Lines',
+        fromUrl: true,
+        load: async source => this.parseJsonLines(await (await this.fetchDataSourceResponse(source.url)).text())
+      },
+      gitea: {
+        label: 'Gitea / Forgejo API',
+        fromUrl: true,
+        load: source => this.loadGiteaStars(source.url)
+      },
+      file: {
+        label: 'Dropped file',
+        fromUrl: false,
+        load: source => this.readDataFile(source.file)
+      }
+    };
+  }
+
+  /**
+   * Load one data source through its adapter
+   */
+  async fetchDataSource(source) {
+    const adapter = this.getDataSourceAdapters()[source.type || 'json'];
+    if (!adapter) {
+      throw new Error(`Unknown data source type: ${source.type}`);
+    }
+    return adapter.load(source);
+  }
+
+  /**
+   * Fetch a URL, treating HTTP errors as failures
+   */
+  async fetchDataSourceResponse(url) {
+    const response = await fetch(url);
+    if (!response.ok) {
+      throw new Error(`HTTP error! status: ${response.status}`);
+    }
+    return response;
+  }
+
+  /**
+   * Parse JSON Lines: one repository, or one { starred_at, repo } item, per line
+   */
+  parseJsonLines(text) {
+    return text.split(/\r?\n/)
+      .map((line, index) => ({ line: line.trim(), number: index + 1 }))
+      .filter(({ line }) => line)
+      .map(({ line, number }) => {
+        let item;
+        try {
+          item = JSON.parse(line);
+        } catch (error) {
+          throw new Error(`line ${number} is not valid JSON`);
+        }
+        return item?.repo && typeof item.repo === 'object' ? { ...item.repo, starred_at: item.starred_at } : item;
+      });
+  }
+
+  /**
+   * Page through a Gitea or Forgejo starred endpoint such as
+   * /api/v1/users/{username}/starred and convert the repositories to the data.json shape
+   */
+  async loadGiteaStars(endpoint) {
+    const repos = [];
+
+    for (let page = 1; page <= this.giteaMaxPages; page++) {
+      const url = new URL(endpoint, window.location.href);
+      url.searchParams.set('page', page);
+      url.searchParams.set('limit', this.giteaPageSize);
+
+      const batch = await (await this.fetchDataSourceResponse(url.href)).json();
+      if (!Array.isArray(batch)) throw new Error('the Gitea API did not return a list of repositories');
+
+      repos.push(...batch.map(repo => this.fromGiteaRepository(repo, url)));
+      if (batch.length < this.giteaPageSize) break;
+    }
+
+    return repos;
+  }
+
+  /**
+   * Map a Gitea/Forgejo repository onto the GitHub fields the page reads. Ids are
+   * prefixed with the host so they cannot collide with GitHub ids from other sources.
+   */
+  fromGiteaRepository(repo, endpoint) {
+    const owner = repo.owner || {};
+    const login = owner.login || owner.username || '';
+    const fullName = repo.full_name || `${login}/${repo.name}`;
+
+    return {
+      id: `${endpoint.host}:${repo.id}`,
+      name: repo.name,
+      full_name: fullName,
+      owner: {
+        login,
+        avatar_url: owner.avatar_url || '',
+        html_url: owner.html_url || `${endpoint.origin}/${login}`
+      },
+      html_url: repo.html_url || `${endpoint.origin}/${fullName}`,
+      description: repo.description || '',
+      homepage: repo.website || '',
+      language: repo.language || null,
+      topics: Array.isArray(repo.topics) ? repo.topics : [],
+      stargazers_count: repo.stars_count || 0,
+      forks_count: repo.forks_count || 0,
+      open_issues_count: repo.open_issues_count || 0,
+      archived: Boolean(repo.archived),
+      created_at: repo.created_at,
+      updated_at: repo.updated_at,
+      pushed_at: repo.updated_at,
+      clone_url: repo.clone_url,
+      ssh_url: repo.ssh_url
+    };
+  }
+
+  /**
+   * Read a dropped JSON or JSON Lines file
+   */
+  async readDataFile(file) {
+    const text = await file.text();
+    if (this.guessDataSourceType(file.name) === 'jsonl') return this.parseJsonLines(text);
+
+    try {
+      return JSON.parse(text);
+    } catch (error) {
+      // Files without a .jsonl extension may still hold JSON Lines
+      return this.parseJsonLines(text);
+    }
+  }
+
+  /**
+   * Merge sources into one language-keyed object, deduplicated by repository id.
+   * Each repository records who starred it in starred_by and keeps the newest starred_at.
+   */
+  mergeDataSources(loaded) {
+    const merged = {};
+    const byId = new Map();
+
+    loaded.forEach(({ source, data }) => {
+      const groups = Array.isArray(data)
+        ? data.map(repo => [repo?.language || 'miscellaneous', [repo]])
+        : Object.entries(data || {});
+
+      groups.forEach(([language, repos]) => {
+        if (!Array.isArray(repos)) return;
+
+        repos.forEach(repo => {
+          if (!repo || repo.id === undefined) return;
+
+          const existing = byId.get(repo.id);
+          if (existing) {
+            if (!existing.starred_by.includes(source.label)) existing.starred_by.push(source.label);
+            if (repo.starred_at && (!existing.starred_at || repo.starred_at > existing.starred_at)) {
+              existing.starred_at = repo.starred_at;
+            }
+            return;
+          }
+
+          const entry = { ...repo, starred_by: [source.label] };
+          byId.set(repo.id, entry);
+          if (!merged[language]) merged[language] = [];
+          merged[language].push(entry);
+        });
+      });
+    });
+
+    return merged;
+  }
+
+  /**
+   * Process raw repository data into normalized format
+   */
+  processRepositoryData(data) {
+    const { repositories, languageOrder } = this.normalizeRepositoryData(data);
+
+    // Store language order for later use
+    this.languageOrder = languageOrder;
+
+    // Build the search index once per data load
+    this.searchIndex = this.buildSearchIndex(repositories);
+    if (this.searchCache) this.searchCache.clear();
+
+    return repositories;
+  }
+
+  /**
+   * Normalize data.json (or a snapshot of it) without touching application state
+   */
+  normalizeRepositoryData(data) {
+    const repositories = [];
+    let originalIndex = 0;
+    const languageOrder = {}; // Track the order languages appear in data.json
+    let languageOrderIndex = 0;
+
+    // Handle both object format (grouped by language) and array format
+    if (Array.isArray(data)) {
+      repositories.push(...data);
+    } else if (typeof data === 'object') {
+      // Flatten repositories from language groups while preserving order
+      Object.keys(data).forEach(language => {
+        // Track language order for "Recently" categorization
+        if (!languageOrder[language]) {
+          languageOrder[language] = languageOrderIndex++;
+        }
+
+        const languageRepos = data[language];
+        if (Array.isArray(languageRepos)) {
+          repositories.push(...languageRepos);
+        }
+      });
+    }
+
+    // Normalize and validate repository data
+    const normalized = repositories
+      .filter(repo => repo && repo.id && repo.name)
+      // Counts from dropped files and other sources may be strings; markup relies on numbers
+      .map(repo => ({ ...repo, stargazers_count: Number(repo.stargazers_count) || 0 }))
+      .map(repo => this.addStarTrend({
+        ...repo,
+        // Ensure required fields have defaults
+        description: repo.description || '',
+        language: repo.language || 'Unknown',
+        topics: Array.isArray(repo.topics) ? repo.topics : [],
+        starred_by: Array.isArray(repo.starred_by) ? repo.starred_by : [],
+        // Imports and some sources do not know these dates; null renders as unknown
+        created_at: Number.isNaN(Date.parse(repo.created_at)) ? null : repo.created_at,
+        updated_at: Number.isNaN(Date.parse(repo.updated_at)) ? null : repo.updated_at,
+        starred_at: Number.isNaN(Date.parse(repo.starred_at)) ? null : repo.starred_at,
+        // Add computed fields
+        health: this.getHealthStatus(repo).id,
+        originalIndex: originalIndex++, // Fallback order for "Recent Likes" when starred_at is missing
+        searchText: this.createSearchText(repo),
+        formattedStars: this.formatNumber(repo.stargazers_count),
+        relativeTime: this.getRelativeTime(repo.updated_at),
+        languageColor: this.getLanguageColor(repo.language)
+      }))
+      .sort((a, b) => b.stargazers_count - a.stargazers_count); // Default sort by stars
+
+    return { repositories: normalized, languageOrder };
+  }
+
+  /**
+   * Load snapshots/stars.json; repositories simply have no trend without it
+   */
+  async loadStarHistory() {
+    try {
+      const response = await fetch(this.starHistoryUrl);
+      this.starHistory = response.ok ? this.parseStarHistory(await response.json()) : null;
+    } catch (error) {
+      console.warn('Failed to load star history:', error);
+      this.starHistory = null;
+    }
+  }
+
+  /**
+   * Validate a star history payload
+   */
+  parseStarHistory(payload) {
+    if (!Array.isArray(payload?.dates) || !payload.stars || typeof payload.stars !== 'object') {
+      return null;
+    }
+    return { dates: payload.dates, stars: payload.stars };
+  }
+
+  /**
+   * Attach the star history and weekly growth rates to a normalized repository
+   */
+  addStarTrend(repo) {
+    const counts = this.starHistory?.stars[repo.id];
+    const starHistory = Array.isArray(counts)
+      ? counts
+        .map((stars, index) => ({ date: this.starHistory.dates[index], stars }))
+        .filter(point => Number.isFinite(point.stars) && !Number.isNaN(Date.parse(point.date)))
+      : [];
+
+    return { ...repo, starHistory, starTrend: this.getStarTrend(starHistory) };
+  }
+
+  /**
+   * Stars gained per week and percentage growth per week across a history, or null
+   * when there are not two points far enough apart to tell
+   */
+  getStarTrend(history) {
+    if (history.length < 2) return null;
+
+    const first = history[0];
+    const last = history[history.length - 1];
+    const weeks = (Date.parse(last.date) - Date.parse(first.date)) / (7 * 86400000);
+    if (weeks <= 0) return null;
+
+    const perWeek = (last.stars - first.stars) / weeks;
+    return {
+      perWeek,
+      percentPerWeek: first.stars > 0 ? (perWeek / first.stars) * 100 : null
+    };
+  }
+
+  /**
+   * Create searchable text from repository data
+   */
+  createSearchText(repo) {
+    const annotation = this.getAnnotation(repo.id);
+
+    return [
+      repo.name,
+      repo.full_name,
+      repo.description,
+      repo.language,
+      ...(repo.topics || []),
+      repo.owner?.login,
+      ...annotation.tags,
+      annotation.note
+    ].filter(Boolean).join(' ').toLowerCase();
+  }
+
+  /**
+   * Get the indexable text of each search field for a repository
+   */
+  getSearchFields(repo) {
+    const annotation = this.getAnnotation(repo.id);
+
+    return {
+      name: [repo.name, repo.full_name].filter(Boolean).join(' '),
+      topics: (repo.topics || []).join(' '),
+      language: repo.language || '',
+      description: repo.description || '',
+      owner: repo.owner?.login || '',
+      annotations: [...annotation.tags, annotation.note].join(' ')
+    };
+  }
+
+  /**
+   * Split text into lowercase word tokens
+   */
+  tokenizeSearchText(text) {
+    return String(text || '')
+      .toLowerCase()
+      .split(/[^\p{L}\p{N}]+/u)
+      .filter(Boolean);
+  }
+
+  /**
+   * Build an inverted index over the search fields for BM25 ranking
+   */
+  buildSearchIndex(repositories) {
+    const postings = new Map(); // term -> Map(repoId -> { field: termFrequency })
+    const fieldLengths = new Map(); // repoId -> { field: tokenCount }
+    const totalFieldLengths = {};
+
+    repositories.forEach(repo => {
+      const lengths = {};
+
+      Object.entries(this.getSearchFields(repo)).forEach(([field, text]) => {
+        const tokens = this.tokenizeSearchText(text);
+        lengths[field] = tokens.length;
+        totalFieldLengths[field] = (totalFieldLengths[field] || 0) + tokens.length;
+
+        tokens.forEach(token => {
+          if (!postings.has(token)) postings.set(token, new Map());
+          const docs = postings.get(token);
+          const frequencies = docs.get(repo.id) || {};
+          frequencies[field] = (frequencies[field] || 0) + 1;
+          docs.set(repo.id, frequencies);
+        });
+      });
+
+      fieldLengths.set(repo.id, lengths);
+    });
+
+    const docCount = repositories.length;
+    const averageFieldLengths = {};
+    Object.entries(totalFieldLengths).forEach(([field, total]) => {
+      averageFieldLengths[field] = docCount > 0 ? total / docCount : 0;
+    });
+
+    // Group the vocabulary by length so fuzzy lookups only scan plausible terms
+    const vocabularyByLength = new Map();
+    postings.forEach((docs, term) => {
+      if (!vocabularyByLength.has(term.length)) vocabularyByLength.set(term.length, []);
+      vocabularyByLength.get(term.length).push(term);
+    });
+
+    return { postings, fieldLengths, averageFieldLengths, vocabularyByLength, docCount };
+  }
+
+  /**
+   * Find indexed terms that match a query token exactly, by prefix or within edit distance
+   */
+  expandSearchToken(token) {
+    const { postings, vocabularyByLength } = this.searchIndex;
+    const { prefixWeight, fuzzyWeights, minPrefixLength } = this.searchOptions;
+    const maxEdits = this.getMaxEditDistance(token);
+    const expansions = new Map(); // indexed term -> weight
+
+    if (postings.has(token)) expansions.set(token, fuzzyWeights[0]);
+
+    vocabularyByLength.forEach((terms, length) => {
+      const canPrefix = token.length >= minPrefixLength && length > token.length;
+      const canFuzzy = Math.abs(length - token.length) <= maxEdits;
+      if (!canPrefix && !canFuzzy) return;
+
+      terms.forEach(term => {
+        if (term === token) return;
+
+        let weight = 0;
+        if (canPrefix && term.startsWith(token)) {
+          weight = prefixWeight;
+        }
+        if (canFuzzy && maxEdits > 0) {
+          const distance = this.getEditDistance(token, term, maxEdits);
+          if (distance <= maxEdits) {
+            weight = Math.max(weight, fuzzyWeights[distance] || 0);
+          }
+        }
+
+        if (weight > 0) expansions.set(term, weight);
+      });
+    });
+
+    return expansions;
+  }
+
+  /**
+   * Allowed typos for a query token, scaled by its length
+   */
+  getMaxEditDistance(token) {
+    if (token.length < 4) return 0;
+    if (token.length < 8) return 1;
+    return 2;
+  }
+
+  /**
+   * Optimal string alignment distance (edits plus adjacent transpositions)
+   */
+  getEditDistance(a, b, maxDistance = Infinity) {
+    if (Math.abs(a.length - b.length) > maxDistance) return maxDistance + 1;
+
+    let previousPrevious = [];
+    let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+
+    for (let i = 1; i <= a.length; i++) {
+      const current = [i];
+      let rowMin = i;
+
+      for (let j = 1; j <= b.length; j++) {
+        const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+        current[j] = Math.min(
+          previous[j] + 1,
+          current[j - 1] + 1,
+          previous[j - 1] + cost
+        );
+
+        if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+          current[j] = Math.min(current[j], previousPrevious[j - 2] + 1);
+        }
+
+        rowMin = Math.min(rowMin, current[j]);
+      }
+
+      // Stop early once every alignment is already too expensive
+      if (rowMin > maxDistance) return maxDistance + 1;
+
+      previousPrevious = previous;
+      previous = current;
+    }
+
+    return previous[b.length];
+  }
+
+  /**
+   * Score every repository that matches a query token using BM25 over boosted fields
+   */
+  scoreSearchToken(token) {
+    const { postings, fieldLengths, averageFieldLengths, docCount } = this.searchIndex;
+    const { boosts, k1, b } = this.searchOptions;
+    const scores = new Map(); // repoId -> score
+
+    this.expandSearchToken(token).forEach((weight, term) => {
+      const docs = postings.get(term);
+      const idf = Math.log(1 + (docCount - docs.size + 0.5) / (docs.size + 0.5));
+
+      docs.forEach((frequencies, repoId) => {
+        const lengths = fieldLengths.get(repoId);
+        let score = 0;
+
+        Object.entries(frequencies).forEach(([field, frequency]) => {
+          const averageLength = averageFieldLengths[field] || 1;
+          const normalization = 1 - b + b * (lengths[field] / averageLength);
+          score += (boosts[field] || 1) * idf * (frequency * (k1 + 1)) / (frequency + k1 * normalization);
+        });
+
+        // Keep the best scoring expansion for each repository
+        scores.set(repoId, Math.max(scores.get(repoId) || 0, score * weight));
+      });
+    });
+
+    return scores;
+  }
+
+  /**
+   * Score repositories for a free text clause; every token in the clause must match
+   */
+  scoreSearchText(text) {
+    const tokens = this.tokenizeSearchText(text);
+    if (!this.searchIndex || tokens.length === 0) return new Map();
+
+    let combined = null;
+
+    tokens.forEach(token => {
+      const tokenScores = this.scoreSearchToken(token);
+
+      if (combined === null) {
+        combined = tokenScores;
+        return;
+      }
+
+      const next = new Map();
+      combined.forEach((score, repoId) => {
+        if (tokenScores.has(repoId)) next.set(repoId, score + tokenScores.get(repoId));
+      });
+      combined = next;
+    });
+
+    return combined;
+  }
+
+  /**
+   * Extract unique languages from repositories
+   */
+  extractLanguages(repositories) {
+    const languageSet = new Set();
+    repositories.forEach(repo => {
+      if (repo.language && repo.language !== 'Unknown') {
+        languageSet.add(repo.language);
+      }
+    });
+    return Array.from(languageSet).sort();
+  }
+
+  /**
+   * Get the annotation for a repository, or an empty one
+   */
+  getAnnotation(repoId) {
+    return this.annotations[repoId] || { note: '', tags: [], rating: 0, updatedAt: null };
+  }
+
+  /**
+   * Find a collection by id
+   */
+  getCollection(collectionId) {
+    return this.collections.find(collection => collection.id === collectionId) || null;
+  }
+
+  /**
+   * Check whether a repository belongs to a collection
+   */
+  isRepositoryInCollection(collection, repo) {
+    return collection.repos.includes(repo.id) ||
+      collection.repos.includes(String(repo.full_name || '').toLowerCase());
+  }
+
+  /**
+   * Get every collection that contains a repository
+   */
+  getCollectionsForRepository(repo) {
+    return this.collections.filter(collection => this.isRepositoryInCollection(collection, repo));
+  }
+
+  /**
+   * Update filtered repositories based on current filters
+   */
+  updateFilteredRepositories() {
+    let filtered = [...this.state.repositories];
+
+    if (this.state.hideArchived) {
+      filtered = filtered.filter(repo => !repo.archived);
+    }
+
+    // Apply search filter with advanced search
+    if (this.state.searchTerm) {
+      filtered = this.performAdvancedSearch(filtered, this.state.searchTerm);
+    }
+
+    // Apply collection filter
+    if (this.state.selectedCollection) {
+      const collection = this.getCollection(this.state.selectedCollection);
+      filtered = collection
+        ? filtered.filter(repo => this.isRepositoryInCollection(collection, repo))
+        : [];
+    }
+
+    // Facet counts are taken from the matches before any facet applies
+    this.state.facetBaseRepositories = filtered;
+
+    // Apply facet filters
+    filtered = filtered.filter(repo => this.matchesFacets(repo));
+
+    this.state.filteredRepositories = filtered;
+    this.sortRepositories();
+  }
+
+  /**
+   * Facets shown in the sidebar. Values within a facet are ORed, facets are ANDed.
+   * Range facets list fixed options; the others are built from the data.
+   */
+  getFacets() {
+    return {
+      language: {
+        label: 'Language',
+        stateKey: 'selectedLanguages',
+        getValues: repo => [repo.language || 'Unknown'],
+        getColor: value => this.getLanguageColor(value)
+      },
+      topic: {
+        label: 'Topic',
+        stateKey: 'selectedTopics',
+        getValues: repo => repo.topics || []
+      },
+      owner: {
+        label: 'Owner',
+        stateKey: 'selectedOwners',
+        getValues: repo => (repo.owner?.login ? [repo.owner.login] : [])
+      },
+      stars: {
+        label: 'Stars',
+        stateKey: 'selectedStarRanges',
+        getValues: repo => [this.getStarTier(repo.stargazers_count).id],
+        options: this.getStarTiers().map(tier => ({ value: tier.id, label: tier.label }))
+      },
+      updated: {
+        label: 'Last updated',
+        stateKey: 'selectedUpdatedRanges',
+        getValues: repo => [this.getFreshnessBucket(repo.updated_at).id],
+        options: this.getFreshnessBuckets().map(bucket => ({ value: bucket.id, label: bucket.label }))
+      },
+      health: {
+        label: 'Health',
+        stateKey: 'selectedHealth',
+        getValues: repo => [repo.health],
+        options: this.getHealthStatuses().map(status => ({ value: status.id, label: status.label }))
+      },
+      starredBy: {
+        label: 'Starred by',
+        stateKey: 'selectedStarredBy',
+        getValues: repo => repo.starred_by
+      }
+    };
+  }
+
+  /**
+   * Check a repository against every active facet, optionally ignoring one of them
+   */
+  matchesFacets(repo, ignoredFacet = null) {
+    return Object.entries(this.getFacets()).every(([name, facet]) => {
+      const selected = this.state[facet.stateKey];
+      if (name === ignoredFacet || selected.length === 0) return true;
+      return facet.getValues(repo).some(value => selected.includes(value));
+    });
+  }
+
+  /**
+   * Count facet values among the current matches. Each facet is counted with the
+   * other facets applied but not itself, so its options show what selecting them adds.
+   */
+  getFacetCounts() {
+    const counts = {};
+
+    Object.entries(this.getFacets()).forEach(([name, facet]) => {
+      counts[name] = {};
+      this.state.facetBaseRepositories.forEach(repo => {
+        if (!this.matchesFacets(repo, name)) return;
+        facet.getValues(repo).forEach(value => {
+          counts[name][value] = (counts[name][value] || 0) + 1;
+        });
+      });
+    });
+
+    return counts;
+  }
+
+  /**
+   * Sort repositories based on current sort criteria
+   */
+  sortRepositories() {
+    const { sortBy, sortOrder } = this.state;
+    const direction = sortOrder === this.getDefaultSortOrder(sortBy) ? 1 : -1;
+
+    this.state.filteredRepositories.sort((a, b) => {
+      let comparison = 0;
+
+      switch (sortBy) {
+        case 'stars':
+          comparison = b.stargazers_count - a.stargazers_count;
+          break;
+        case 'relevance':
+          // Search scores only mean something while a query is active
+          comparison = (this.state.searchTerm ? (b.searchScore || 0) - (a.searchScore || 0) : 0) ||
+            this.compareStarredAt(a, b);
+          break;
+        case 'recent-likes':
+          comparison = this.compareStarredAt(a, b);
+          break;
+        case 'trending':
+          comparison = this.compareStarTrend(a, b, 'perWeek');
+          break;
+        case 'growth':
+          comparison = this.compareStarTrend(a, b, 'percentPerWeek');
+          break;
+        case 'stars-asc':
+          comparison = a.stargazers_count - b.stargazers_count;
+          break;
+        case 'name':
+          comparison = a.name.localeCompare(b.name, undefined, { sensitivity: 'base' });
+          break;
+        case 'name-desc':
+          comparison = b.name.localeCompare(a.name, undefined, { sensitivity: 'base' });
+          break;
+        case 'owner':
+          comparison = (a.owner?.login || '').localeCompare(b.owner?.login || '', undefined, { sensitivity: 'base' });
+          break;
+        case 'language':
+          comparison = a.language.localeCompare(b.language, undefined, { sensitivity: 'base' });
+          break;
+        case 'updated':
+        case 'created': {
+          // Unknown dates go last in either direction
+          const field = `${sortBy}_at`;
+          if (!a[field] || !b[field]) return (a[field] ? -1 : 0) + (b[field] ? 1 : 0);
+          comparison = Date.parse(b[field]) - Date.parse(a[field]);
+          break;
+        }
+        default:
+          // Default to stars descending
+          comparison = b.stargazers_count - a.stargazers_count;
+      }
+
+      return comparison * direction;
+    });
+  }
+
+  /**
+   * The order a sort reads in unless reversed: A to Z and low to high for the sorts that
+   * say so, newest or largest first for the rest
+   */
+  getDefaultSortOrder(sortBy) {
+    return ['name', 'stars-asc', 'owner', 'language'].includes(sortBy) ? 'asc' : 'desc';
+  }
+
+  /**
+   * Compare by star date, newest first. Repositories without starred_at follow in
+   * their data.json order.
+   */
+  compareStarredAt(a, b) {
+    const aTime = a.starred_at ? Date.parse(a.starred_at) : null;
+    const bTime = b.starred_at ? Date.parse(b.starred_at) : null;
+
+    if (aTime !== null && bTime !== null) return bTime - aTime || (a.originalIndex || 0) - (b.originalIndex || 0);
+    if (aTime !== null) return -1;
+    if (bTime !== null) return 1;
+    return (a.originalIndex || 0) - (b.originalIndex || 0);
+  }
+
+  /**
+   * Compare by a star trend metric, highest first. Repositories without enough
+   * history follow, ordered by stars.
+   */
+  compareStarTrend(a, b, metric) {
+    const aValue = a.starTrend?.[metric] ?? null;
+    const bValue = b.starTrend?.[metric] ?? null;
+
+    if (aValue !== null && bValue !== null && aValue !== bValue) return bValue - aValue;
+    if (aValue !== null && bValue === null) return -1;
+    if (bValue !== null && aValue === null) return 1;
+    return b.stargazers_count - a.stargazers_count;
+  }
+
+  /**
+   * Advanced search with multiple criteria
+   */
+  performAdvancedSearch(repositories, searchTerm) {
+    if (!searchTerm) return repositories;
+
+    // Invalid queries are reported inline by handleSearch and never committed to state
+    const { groups, error } = this.parseSearchQuery(searchTerm);
+    if (error || groups.length === 0) return repositories;
+
+    // Look up each free text clause in the index once per query
+    const textScores = new Map();
+    groups.flat()
+      .filter(clause => clause.type === 'text' && !clause.phrase)
+      .forEach(clause => {
+        if (!textScores.has(clause.value)) {
+          textScores.set(clause.value, this.scoreSearchText(clause.value));
+        }
+      });
+
+    return repositories.filter(repo => {
+      // A repository matches when every clause of at least one OR group matches
+      const matchedGroup = groups.find(clauses =>
+        clauses.every(clause => this.matchesSearchClause(repo, clause, textScores))
+      );
+      if (!matchedGroup) return false;
+
+      // Store score for potential sorting
+      repo.searchScore = this.scoreSearchClauses(repo, matchedGroup, textScores);
+      return true;
+    }).sort((a, b) => (b.searchScore || 0) - (a.searchScore || 0));
+  }
+
+  /**
+   * Parse a search query into OR groups of clauses
+   *
+   * Supports free text, "quoted phrases", -negation, OR, and the qualifiers
+   * lang:, topic:, owner:, stars: (>N, >=N, <N, <=N, N..M, 5k) and
+   * updated:/created:/starred: (same comparisons with YYYY-MM-DD dates). Words
+   * with a colon that are not qualifiers, such as URLs or "c++:", are plain text.
+   */
+  parseSearchQuery(query) {
+    const { tokens, error } = this.tokenizeSearchQuery(query);
+    if (error) return { groups: [], error };
+
+    const groups = [[]];
+
+    for (const token of tokens) {
+      const currentGroup = groups[groups.length - 1];
+
+      if (!token.quoted && !token.negate && (token.text === 'OR' || token.text === '|')) {
+        if (currentGroup.length === 0) {
+          return { groups: [], error: 'OR must appear between two search terms' };
+        }
+        groups.push([]);
+        continue;
+      }
+
+      const { clause, error: clauseError } = this.parseSearchClause(token);
+      if (clauseError) return { groups: [], error: clauseError };
+      if (clause) currentGroup.push(clause);
+    }
+
+    if (groups.length > 1 && groups[groups.length - 1].length === 0) {
+      return { groups: [], error: 'OR must appear between two search terms' };
+    }
+
+    return { groups: groups.filter(group => group.length > 0), error: null };
+  }
+
+  /**
+   * Split a search query into tokens, keeping quoted phrases together
+   */
+  tokenizeSearchQuery(query) {
+    const tokens = [];
+    let i = 0;
+
+    while (i < query.length) {
+      if (/\s/.test(query[i])) {
+        i++;
+        continue;
+      }
+
+      // A leading "-" negates the token unless it stands on its own
+      let negate = false;
+      if (query[i] === '-' && i + 1 < query.length && !/\s/.test(query[i + 1])) {
+        negate = true;
+        i++;
+      }
+
+      let text = '';
+      let quoted = false;
+      let quoteIndex = -1;
+
+      while (i < query.length && !/\s/.test(query[i])) {
+        if (query[i] === '"') {
+          const end = query.indexOf('"', i + 1);
+          if (end === -1) {
+            return { tokens: [], error: 'Missing closing quote in search query' };
+          }
+          if (quoteIndex === -1) quoteIndex = text.length;
+          text += query.slice(i + 1, end);
+          quoted = true;
+          i = end + 1;
+        } else {
+          text += query[i++];
+        }
+      }
+
+      tokens.push({ text, negate, quoted, quoteIndex });
+    }
+
+    return { tokens, error: null };
+  }
+
+  /**
+   * Turn a single token into a text or qualifier clause
+   */
+  parseSearchClause(token) {
+    const { text, negate, quoted, quoteIndex } = token;
+    const colonIndex = text.indexOf(':');
+    const qualifiers = this.getSearchQualifiers();
+    const key = colonIndex > 0 && (quoteIndex === -1 || colonIndex < quoteIndex)
+      ? text.slice(0, colonIndex).toLowerCase()
+      : null;
+    // Anything that is not a known qualifier, like a URL, is searched as text
+    const field = key !== null && Object.hasOwn(qualifiers, key) ? qualifiers[key] : null;
+
+    if (!field) {
+      const value = text.toLowerCase().trim();
+      return { clause: value ? { type: 'text', value, negate, phrase: quoted } : null, error: null };
+    }
+
+    const rawValue = text.slice(colonIndex + 1).trim();
+
+    if (!rawValue) {
+      return { clause: null, error: `Qualifier "${key}:" needs a value` };
+    }
+
+    if (field === 'stars') {
+      const comparison = this.parseSearchComparison(rawValue, value => this.parseStarCount(value));
+      if (!comparison) {
+        return { clause: null, error: `Invalid star count "${rawValue}". Use e.g. stars:>5000 or stars:1k..10k` };
+      }
+      return { clause: { type: 'qualifier', field, negate, ...comparison }, error: null };
+    }
+
+    if (field === 'rating') {
+      const comparison = this.parseSearchComparison(rawValue, value => (/^[0-5]$/.test(value) ? Number(value) : null));
+      if (!comparison) {
+        return { clause: null, error: `Invalid rating "${rawValue}". Use a number from 0 to 5, e.g. rating:>=4` };
+      }
+      return { clause: { type: 'qualifier', field, negate, ...comparison }, error: null };
+    }
+
+    if (field === 'updated_at' || field === 'created_at' || field === 'starred_at') {
+      const comparison = this.parseSearchComparison(rawValue, value => this.parseSearchDate(value));
+      if (!comparison) {
+        return { clause: null, error: `Invalid date "${rawValue}". Use e.g. ${key}:<2024-01-01` };
+      }
+
+      // A bare date matches anything within that year, month or day
+      if (comparison.op === '=') {
+        comparison.op = 'range';
+        comparison.min = comparison.value;
+        comparison.max = this.getSearchDatePeriodEnd(rawValue);
+      }
+      return { clause: { type: 'qualifier', field, negate, ...comparison }, error: null };
+    }
+
+    return { clause: { type: 'qualifier', field, negate, op: '=', value: rawValue.toLowerCase() }, error: null };
+  }
+
+  /**
+   * Map of supported search qualifiers to repository fields
+   */
+  getSearchQualifiers() {
+    return {
+      lang: 'language',
+      language: 'language',
+      topic: 'topic',
+      owner: 'owner',
+      user: 'owner',
+      org: 'owner',
+      stars: 'stars',
+      updated: 'updated_at',
+      created: 'created_at',
+      starred: 'starred_at',
+      tag: 'tag',
+      rating: 'rating',
+      collection: 'collection'
+    };
+  }
+
+  /**
+   * Parse a comparison such as ">5000", "<=2024-01-01" or "10..100"
+   */
+  parseSearchComparison(rawValue, parseValue) {
+    if (rawValue.includes('..')) {
+      const [minRaw, maxRaw] = rawValue.split('..');
+      const min = minRaw === '*' ? -Infinity : parseValue(minRaw);
+      const max = maxRaw === '*' ? Infinity : parseValue(maxRaw);
+      if (min === null || max === null) return null;
+      return { op: 'range', min, max };
+    }
+
+    const match = rawValue.match(/^(>=|<=|>|<)?(.+)$/);
+    const value = parseValue(match[2]);
+    if (value === null) return null;
+
+    return { op: match[1] || '=', value };
+  }
+
+  /**
+   * Parse star counts like "5000", "5k" or "1.2m"
+   */
+  parseStarCount(value) {
+    const match = String(value).trim().match(/^(\d+(?:\.\d+)?)([km])?$/i);
+    if (!match) return null;
+
+    const multiplier = { k: 1000, m: 1000000 }[(match[2] || '').toLowerCase()] || 1;
+    return Math.round(parseFloat(match[1]) * multiplier);
+  }
+
+  /**
+   * Parse a YYYY-MM-DD (or YYYY-MM, YYYY) date into a UTC timestamp, or null for
+   * dates that do not exist such as 2024-13-45 or 2023-02-29
+   */
+  parseSearchDate(value) {
+    const match = String(value).trim().match(/^(\d{4})(?:-(\d{2}))?(?:-(\d{2}))?$/);
+    if (!match) return null;
+
+    const year = Number(match[1]);
+    const month = match[2] ? Number(match[2]) : 1;
+    const day = match[3] ? Number(match[3]) : 1;
+    const date = new Date(Date.UTC(year, month - 1, day));
+
+    // Date.UTC rolls overflowing months and days into the next period instead of failing
+    if (date.getUTCFullYear() !== year || date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) {
+      return null;
+    }
+
+    return date.getTime();
+  }
+
+  /**
+   * Get the last millisecond of the year, month or day a date string names
+   */
+  getSearchDatePeriodEnd(value) {
+    const [year, month, day] = String(value).trim().split('-').map(Number);
+
+    if (day) return Date.UTC(year, month - 1, day + 1) - 1;
+    if (month) return Date.UTC(year, month, 1) - 1;
+    return Date.UTC(year + 1, 0, 1) - 1;
+  }
+
+  /**
+   * Check whether a repository satisfies a single search clause
+   */
+  matchesSearchClause(repo, clause, textScores = new Map()) {
+    let matches;
+
+    if (clause.type === 'text') {
+      // Quoted phrases need an exact substring; plain terms may also match the fuzzy index
+      matches = repo.searchText.includes(clause.value) ||
+        (!clause.phrase && Boolean(textScores.get(clause.value)?.has(repo.id)));
+    } else {
+      switch (clause.field) {
+        case 'language':
+          matches = (repo.language || '').toLowerCase() === clause.value;
+          break;
+        case 'topic':
+          matches = repo.topics.some(topic => topic.toLowerCase() === clause.value);
+          break;
+        case 'owner':
+          matches = (repo.owner?.login || '').toLowerCase() === clause.value;
+          break;
+        case 'stars':
+          matches = this.compareSearchValue(repo.stargazers_count, clause);
+          break;
+        case 'tag':
+          matches = this.getAnnotation(repo.id).tags.includes(clause.value);
+          break;
+        case 'rating':
+          matches = this.compareSearchValue(this.getAnnotation(repo.id).rating, clause);
+          break;
+        case 'collection':
+          matches = this.getCollectionsForRepository(repo).some(collection =>
+            collection.id === clause.value || collection.name.toLowerCase() === clause.value
+          );
+          break;
+        case 'updated_at':
+        case 'created_at':
+        case 'starred_at':
+          matches = this.compareSearchValue(Date.parse(repo[clause.field]), clause);
+          break;
+        default:
+          matches = false;
+      }
+    }
+
+    return clause.negate ? !matches : matches;
+  }
+
+  /**
+   * Compare a numeric value against a parsed comparison
+   */
+  compareSearchValue(actual, { op, value, min, max }) {
+    if (Number.isNaN(actual)) return false;
+
+    switch (op) {
+      case '>': return actual > value;
+      case '>=': return actual >= value;
+      case '<': return actual < value;
+      case '<=': return actual <= value;
+      case 'range': return actual >= min && actual <= max;
+      default: return actual === value;
+    }
+  }
+
+  /**
+   * Calculate relevance score for the positive text clauses of a match
+   */
+  scoreSearchClauses(repo, clauses, textScores = new Map()) {
+    const { boosts } = this.searchOptions;
+    let score = 0;
+
+    clauses
+      .filter(clause => clause.type === 'text' && !clause.negate)
+      .forEach(({ value: term, phrase }) => {
+        const indexScore = phrase ? 0 : (textScores.get(term)?.get(repo.id) || 0);
+        if (indexScore > 0) {
+          score += indexScore;
+          return;
+        }
+
+        // Substring matches the index cannot see (phrases, CJK text, partial words)
+        const fields = this.getSearchFields(repo);
+        Object.entries(fields).forEach(([field, text]) => {
+          if (text.toLowerCase().includes(term)) score += boosts[field] || 1;
+        });
+      });
+
+    return score;
+  }
+
+  /**
+   * Format numbers for display (e.g., 1000 -> 1K)
+   */
+  formatNumber(num) {
+    if (num >= 1000000) {
+      return (num / 1000000).toFixed(1) + 'M';
+    }
+    if (num >= 1000) {
+      return (num / 1000).toFixed(1) + 'K';
+    }
+    return num.toString();
+  }
+
+  /**
+   * Get relative time string (e.g., "2 days ago"), or "Unknown" without a date
+   */
+  getRelativeTime(dateString) {
+    const date = new Date(dateString);
+    if (!dateString || Number.isNaN(date.getTime())) return 'Unknown';
+    const now = new Date();
+    const diffInSeconds = Math.floor((now - date) / 1000);
+
+    const intervals = [
+      { label: 'year', seconds: 31536000 },
+      { label: 'month', seconds: 2592000 },
+      { label: 'day', seconds: 86400 },
+      { label: 'hour', seconds: 3600 },
+      { label: 'minute', seconds: 60 }
+    ];
+
+    for (const interval of intervals) {
+      const count = Math.floor(diffInSeconds / interval.seconds);
+      if (count >= 1) {
+        return `${count} ${interval.label}${count > 1 ? 's' : ''} ago`;
+      }
+    }
+
+    return 'Just now';
+  }
+
+  /**
+   * Get language color for styling
+   */
+  getLanguageColor(language) {
+    const colors = {
+      'typescript': '#3178c6',
+      'javascript': '#f1e05a',
+      'python': '#3572a5',
+      'java': '#b07219',
+      'html': '#e34c26',
+      'css': '#563d7c',
+      'scss': '#c6538c',
+      'vue': '#4fc08d',
+      'go': '#00add8',
+      'rust': '#dea584',
+      'php': '#4f5d95',
+      'ruby': '#701516',
+      'swift': '#fa7343',
+      'kotlin': '#a97bff',
+      'dart': '#00b4ab',
+      'shell': '#89e051',
+      'dockerfile': '#384d54',
+      'c': '#555555',
+      'c++': '#f34b7d',
+      'c#': '#178600',
+      'objective-c': '#438eff',
+      'jupyter notebook': '#da5b0b',
+      'markdown': '#083fa1',
+      'mdx': '#083fa1',
+      'lua': '#000080',
+      'assembly': '#6e4c13',
+      'tex': '#3d6117',
+      'roff': '#ecdebe',
+      'svelte': '#ff3e00',
+      'astro': '#ff5d01',
+      'vim script': '#199f4b',
+      'viml': '#199f4b',
+      'tree-sitter query': '#c0ffee'
+    };
+
+    return colors[String(language || '').trim().toLowerCase()] || '#64748b';
+  }
+
+  /**
+   * Star tiers from most to least popular
+   */
+  getStarTiers() {
+    return [
+      { id: '10k+', label: 'More than 10k stars', min: 10001 },
+      { id: '1k-10k', label: '1k – 10k stars', min: 1000 },
+      { id: 'under-1k', label: 'Fewer than 1k stars', min: 0 }
+    ];
+  }
+
+  /**
+   * Get the star tier for a star count
+   */
+  getStarTier(stars) {
+    return this.getStarTiers().find(tier => (stars || 0) >= tier.min);
+  }
+
+  /**
+   * Update freshness buckets from most to least recent
+   */
+  getFreshnessBuckets() {
+    return [
+      { id: 'week', label: 'Updated this week', maxDays: 7 },
+      { id: 'month', label: 'Updated this month', maxDays: 30 },
+      { id: 'year', label: 'Updated this year', maxDays: 365 },
+      { id: 'older', label: 'Not updated for over a year', maxDays: Infinity },
+      { id: 'unknown', label: 'Update date unknown', maxDays: null }
+    ];
+  }
+
+  /**
+   * Get the freshness bucket for an update timestamp
+   */
+  getFreshnessBucket(dateString) {
+    const buckets = this.getFreshnessBuckets();
+    const updated = dateString ? Date.parse(dateString) : NaN;
+    if (Number.isNaN(updated)) return buckets.find(bucket => bucket.id === 'unknown');
+
+    const days = (Date.now() - updated) / 86400000;
+    return buckets.find(bucket => bucket.maxDays !== null && days <= bucket.maxDays);
+  }
+
+  /**
+   * Health statuses from most to least maintained. Days count from the last push,
+   * or the last update when pushed_at is missing.
+   */
+  getHealthStatuses() {
+    return [
+      { id: 'active', label: 'Active', maxDays: 90, description: 'Pushed to in the last 3 months' },
+      { id: 'slowing', label: 'Slowing', maxDays: 365, description: 'No push for 3 to 12 months, or a large open issue backlog' },
+      { id: 'stale', label: 'Stale', maxDays: Infinity, description: 'No push for over a year' },
+      { id: 'archived', label: 'Archived', maxDays: null, description: 'Archived by the owner and read-only' },
+      { id: 'unknown', label: 'Unknown', maxDays: null, description: 'No push or update date to judge activity by' }
+    ];
+  }
+
+  /**
+   * Get the health status of a repository from archived, pushed_at, updated_at and
+   * open_issues_count
+   */
+  getHealthStatus(repo) {
+    const statuses = this.getHealthStatuses();
+    if (repo.archived) return statuses.find(status => status.id === 'archived');
+
+    const lastActivity = Date.parse(repo.pushed_at || repo.updated_at);
+    if (Number.isNaN(lastActivity)) return statuses.find(status => status.id === 'unknown');
+
+    const days = (Date.now() - lastActivity) / 86400000;
+    let index = statuses.findIndex(status => status.maxDays !== null && days <= status.maxDays);
+
+    // A growing pile of open issues moves a repository one step down
+    const { min, ratio } = this.healthIssueBacklog;
+    const issues = repo.open_issues_count;
+    if (statuses[index].id !== 'stale' && Number.isFinite(issues) && issues >= min &&
+      issues > (repo.stargazers_count || 0) * ratio) {
+      index++;
+    }
+
+    return statuses[index];
+  }
+
+  /**
+   * Get the UTC month a repository was starred as a sortable key and a label, or null
+   */
+  getStarredMonth(repo) {
+    if (!repo.starred_at) return null;
+
+    const date = new Date(repo.starred_at);
+    return {
+      key: `${date.getUTCFullYear()}-${String(date.getUTCMonth() + 1).padStart(2, '0')}`,
+      label: date.toLocaleDateString('en-US', { year: 'numeric', month: 'long', timeZone: 'UTC' })
+    };
+  }
+
+  /**
+   * Group repositories by programming language
+   */
+  groupRepositoriesByLanguage(repositories) {
+    const grouped = {};
+
+    repositories.forEach(repo => {
+      const language = repo.language || 'Other';
+      if (!grouped[language]) {
+        grouped[language] = [];
+      }
+      grouped[language].push(repo);
+    });
+
+    // Sort languages based on categorization mode
+    const { languageCategory } = this.state;
+    let sortedEntries;
+
+    if (languageCategory === 'recently') {
+      // Sort by the order languages appear in data.json
+      sortedEntries = Object.entries(grouped)
+        .sort(([langA], [langB]) => {
+          const orderA = this.languageOrder[langA] ?? 999;
+          const orderB = this.languageOrder[langB] ?? 999;
+          return orderA - orderB;
+        });
+    } else {
+      // Default: Sort by repository count (descending) - Popular
+      sortedEntries = Object.entries(grouped)
+        .sort(([, a], [, b]) => b.length - a.length);
+    }
+
+    return Object.fromEntries(sortedEntries);
+  }
+
+  /**
+   * Resolve a URL and keep it only if it is a web or mail link
+   */
+  getSafeUrl(url, base = window.location.href) {
+    if (!url) return null;
+
+    try {
+      const resolved = new URL(url, base);
+      return ['http:', 'https:', 'mailto:'].includes(resolved.protocol) ? resolved.href : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Escape HTML to prevent XSS attacks
+   */
+  escapeHtml(text) {
+    if (!text) return '';
+    const div = document.createElement('div');
+    div.textContent = text;
+    return div.innerHTML;
+  }
+
+  /**
+   * Escape text for use inside a double-quoted attribute
+   */
+  escapeAttribute(text) {
+    return this.escapeHtml(text).replace(/"/g, '&quot;');
+  }
+
+  /**
+   * View modes rendered from grouped repositories ({ title, repos }, title null for
+   * no heading); the table ignores groups and lists every match in sort order. A page
+   * may keep its own renderer for a mode, as index.html does for the card grid.
+   */
+  getViewModes() {
+    return {
+      list: { label: 'Simple list', render: groups => this.createListViewMarkup(groups) },
+      grid: { label: 'Cards', render: groups => this.createCardsViewMarkup(groups) },
+      table: { label: 'Compact table', render: () => this.createTableViewMarkup(this.state.filteredRepositories) }
+    };
+  }
+
+  /**
+   * Element id for a group heading, used by tables of contents
+   */
+  getGroupAnchor(title) {
+    return `group-${String(title).toLowerCase().replace(/[^\p{L}\p{N}+#]+/gu, '-').replace(/^-|-$/g, '')}`;
+  }
+
+  /**
+   * Create a group heading with its repository count
+   */
+  createViewGroupTitle(title, count) {
+    if (title === null) return '';
+    return `<h2 class="view-group-title" id="${this.escapeAttribute(this.getGroupAnchor(title))}">${this.escapeHtml(title)} <span class="view-group-count">${count}</span></h2>`;
+  }
+
+  /**
+   * Create the language and star count line shared by the list and card views
+   */
+  createViewMetaMarkup(repo) {
+    const language = repo.language && repo.language !== 'Unknown'
+      ? `<span class="view-language"><span class="view-language-dot" style="background-color: ${repo.languageColor}"></span>${this.escapeHtml(repo.language)}</span>`
+      : '';
+
+    return `
+      <div class="view-meta">
+        ${language}
+        <span class="view-stars" title="${repo.stargazers_count.toLocaleString()} stars">⭐ ${repo.formattedStars}</span>
+        <span class="view-updated">${repo.updated_at ? `Updated ${repo.relativeTime}` : 'Update date unknown'}</span>
+      </div>
+    `;
+  }
+
+  /**
+   * Create the simple list view: one line per repository under each group heading
+   */
+  createListViewMarkup(groups) {
+    return groups.map(({ title, repos }) => `
+      <section class="view-group">
+        ${this.createViewGroupTitle(title, repos.length)}
+        <ul class="view-list">
+          ${repos.map(repo => `
+            <li class="view-list-item" data-repo-id="${this.escapeAttribute(String(repo.id))}">
+              <img class="view-avatar" src="${this.escapeAttribute(this.getSafeUrl(repo.owner?.avatar_url) || '')}" alt="" loading="lazy">
+              <div class="view-list-body">
+                <a class="view-title" href="${this.escapeAttribute(this.getSafeUrl(repo.html_url) || '#')}" target="_blank" rel="noopener noreferrer">${this.escapeHtml(repo.full_name || repo.name)}</a>
+                ${repo.description ? `<p class="view-description">${this.escapeHtml(repo.description)}</p>` : ''}
+                ${this.createViewMetaMarkup(repo)}
+              </div>
+            </li>
+          `).join('')}
+        </ul>
+      </section>
+    `).join('');
+  }
+
+  /**
+   * Create the card view: a responsive grid of cards under each group heading
+   */
+  createCardsViewMarkup(groups) {
+    return groups.map(({ title, repos }) => `
+      <section class="view-group">
+        ${this.createViewGroupTitle(title, repos.length)}
+        <div class="view-cards">
+          ${repos.map(repo => `
+            <article class="view-card" data-repo-id="${this.escapeAttribute(String(repo.id))}">
+              <div class="view-card-header">
+                <img class="view-avatar" src="${this.escapeAttribute(this.getSafeUrl(repo.owner?.avatar_url) || '')}" alt="" loading="lazy">
+                <a class="view-title" href="${this.escapeAttribute(this.getSafeUrl(repo.html_url) || '#')}" target="_blank" rel="noopener noreferrer">${this.escapeHtml(repo.full_name || repo.name)}</a>
+              </div>
+              ${repo.description ? `<p class="view-description">${this.escapeHtml(repo.description)}</p>` : ''}
+              ${this.createViewMetaMarkup(repo)}
+            </article>
+          `).join('')}
+        </div>
+      </section>
+    `).join('');
+  }
+
+  /**
+   * Columns of the compact table view, in display order. Sortable columns name the
+   * sortBy value their header applies; the name column cannot be hidden.
+   */
+  getTableColumns() {
+    const link = (url, text, className = '') => {
+      const safeUrl = this.getSafeUrl(url);
+      return safeUrl
+        ? `<a${className ? ` class="${className}"` : ''} href="${this.escapeAttribute(safeUrl)}" target="_blank" rel="noopener noreferrer">${this.escapeHtml(text)}</a>`
+        : this.escapeHtml(text);
+    };
+    const time = (value, text) => (!value ? 'Unknown' : `<time datetime="${this.escapeAttribute(value)}" title="${this.escapeAttribute(new Date(value).toLocaleString())}">${text}</time>`);
+
+    return {
+      name: {
+        label: 'Name',
+        sortBy: 'name',
+        hideable: false,
+        render: repo => link(repo.html_url, repo.name, 'view-title')
+      },
+      owner: {
+        label: 'Owner',
+        sortBy: 'owner',
+        render: repo => (repo.owner?.login ? link(repo.owner.html_url, repo.owner.login) : '')
+      },
+      language: {
+        label: 'Language',
+        sortBy: 'language',
+        render: repo => (repo.language && repo.language !== 'Unknown'
+          ? `<span class="view-language"><span class="view-language-dot" style="background-color: ${repo.languageColor}"></span>${this.escapeHtml(repo.language)}</span>`
+          : '')
+      },
+      stars: {
+        label: 'Stars',
+        sortBy: 'stars',
+        numeric: true,
+        render: repo => `<span title="${repo.stargazers_count.toLocaleString()} stars">${repo.formattedStars}</span>`
+      },
+      created: {
+        label: 'Created',
+        sortBy: 'created',
+        render: repo => time(repo.created_at, repo.created_at && new Date(repo.created_at).toLocaleDateString(undefined, { year: 'numeric', month: 'short', day: 'numeric' }))
+      },
+      updated: {
+        label: 'Updated',
+        sortBy: 'updated',
+        render: repo => time(repo.updated_at, repo.relativeTime)
+      },
+      topics: {
+        label: 'Topics',
+        render: repo => {
+          const shown = repo.topics.slice(0, 3).map(topic => `<span class="view-topic">${this.escapeHtml(topic)}</span>`);
+          if (repo.topics.length > shown.length) {
+            shown.push(`<span class="view-topic-more" title="${this.escapeAttribute(repo.topics.join(', '))}">+${repo.topics.length - shown.length}</span>`);
+          }
+          return shown.join(' ');
+        }
+      },
+      homepage: {
+        label: 'Homepage',
+        render: repo => {
+          const url = this.getSafeUrl(repo.homepage);
+          return url ? link(url, new URL(url).hostname.replace(/^www\./, '') || url) : '';
+        }
+      },
+      description: {
+        label: 'Description',
+        render: repo => this.escapeHtml(repo.description)
+      }
+    };
+  }
+
+  /**
+   * The sort a table header click applies: the column's sort in its usual order, or the
+   * current sort reversed when the column is already sorted
+   */
+  getTableSortState(sortBy) {
+    if (this.state.sortBy === sortBy) {
+      return { sortBy, sortOrder: this.state.sortOrder === 'asc' ? 'desc' : 'asc' };
+    }
+    return { sortBy, sortOrder: this.getDefaultSortOrder(sortBy) };
+  }
+
+  /**
+   * Create the compact table view: one row per repository in the current sort order,
+   * with the columns not in hiddenTableColumns. Headers of sortable columns are buttons
+   * carrying data-sort; only the first row is in the tab order, see handleTableKeydown().
+   */
+  createTableViewMarkup(repos) {
+    const { sortBy, sortOrder, hiddenTableColumns } = this.state;
+    const columns = Object.entries(this.getTableColumns())
+      .filter(([key, column]) => column.hideable === false || !hiddenTableColumns.includes(key));
+    const cellClass = (key, column) => `view-table-${key}${column.numeric ? ' view-table-number' : ''}`;
+
+    const headers = columns.map(([key, column]) => {
+      if (!column.sortBy) {
+        return `<th scope="col" class="${cellClass(key, column)}">${this.escapeHtml(column.label)}</th>`;
+      }
+
+      const sorted = sortBy === column.sortBy;
+      const ariaSort = sorted ? ` aria-sort="${sortOrder === 'asc' ? 'ascending' : 'descending'}"` : '';
+      const icon = sorted ? (sortOrder === 'asc' ? '▲' : '▼') : '';
+      return `
+        <th scope="col" class="${cellClass(key, column)}"${ariaSort}>
+          <button type="button" class="view-table-sort" data-sort="${this.escapeAttribute(column.sortBy)}">
+            ${this.escapeHtml(column.label)}<span class="view-table-sort-icon" aria-hidden="true">${icon}</span>
+          </button>
+        </th>
+      `;
+    }).join('');
+
+    const rows = repos.map((repo, index) => `
+      <tr data-repo-id="${this.escapeAttribute(String(repo.id))}" tabindex="${index === 0 ? 0 : -1}">
+        ${columns.map(([key, column]) => `<td class="${cellClass(key, column)}">${column.render(repo)}</td>`).join('')}
+      </tr>
+    `).join('');
+
+    return `
+      <div class="view-table-wrapper">
+        <table class="view-table">
+          <thead>
+            <tr>${headers}</tr>
+          </thead>
+          <tbody>${rows}</tbody>
+        </table>
+      </div>
+    `;
+  }
+
+  /**
+   * Move focus between table rows with the arrow, Page Up/Down, Home and End keys,
+   * keeping the focused row as the one in the tab order. Returns whether the key moved it.
+   */
+  handleTableKeydown(e) {
+    const row = e.target.closest?.('tr[data-repo-id]');
+    if (!row || e.altKey || e.ctrlKey || e.metaKey) return false;
+
+    const rows = Array.from(row.parentElement.querySelectorAll('tr[data-repo-id]'));
+    const index = rows.indexOf(row);
+    const steps = { ArrowUp: -1, ArrowDown: 1, PageUp: -10, PageDown: 10 };
+    let nextIndex;
+
+    if (steps[e.key]) {
+      nextIndex = Math.min(rows.length - 1, Math.max(0, index + steps[e.key]));
+    } else if (e.key === 'Home') {
+      nextIndex = 0;
+    } else if (e.key === 'End') {
+      nextIndex = rows.length - 1;
+    } else {
+      return false;
+    }
+
+    e.preventDefault();
+    const next = rows[nextIndex];
+    row.tabIndex = -1;
+    next.tabIndex = 0;
+    next.focus({ preventScroll: true });
+    next.scrollIntoView({ block: 'nearest' });
+    return true;
+  }
+}
+
+// Export for potential testing
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = RepositoryCore;
+}
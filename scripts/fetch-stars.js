@@ -0,0 +1,480 @@
+#!/usr/bin/env node
+/**
+ * Build data.json straight from the GitHub starred API
+ *
+ * Pages through a user's stars with the star+json media type so every repository
+ * carries its starred_at timestamp, and writes the grouped-by-language shape that
+ * GitHubShowcase.processRepositoryData expects.
+ *
+ * Usage:
+ *   node scripts/fetch-stars.js --user <login> [--output data.json] [--full] [--snapshot-dir snapshots]
+ *   GITHUB_TOKEN=... node scripts/fetch-stars.js
+ *
+ * Requires Node.js 18 or newer for the built-in fetch.
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+
+// Repositories without a language are grouped under the same key mawesome uses
+const UNKNOWN_LANGUAGE = 'miscellaneous';
+
+// Fields copied from the API response into data.json
+const REPOSITORY_FIELDS = [
+  'id', 'node_id', 'name', 'full_name', 'owner', 'html_url', 'description', 'url',
+  'languages_url', 'created_at', 'updated_at', 'pushed_at', 'git_url', 'ssh_url',
+  'clone_url', 'homepage', 'stargazers_count', 'watchers_count', 'forks_count',
+  'open_issues_count', 'archived', 'language', 'topics'
+];
+const OWNER_FIELDS = ['login', 'id', 'avatar_url', 'url', 'html_url'];
+
+const USAGE = `Usage: node scripts/fetch-stars.js [options]
+
+Options:
+  --user <login>       User whose stars to fetch (default: $GITHUB_USER, or the
+                       authenticated user when only a token is set)
+  --output <file>      File to write (default: data.json in the repository root)
+  --full               Refetch every star instead of only the new ones
+  --api-url <url>      API base URL (default: $GITHUB_API_URL or https://api.github.com)
+  --per-page <n>       Stars per request, up to 100 (default: 100)
+  --max-retries <n>    Retries for server and network errors (default: 5)
+  --max-wait <s>       Longest rate-limit wait in seconds before giving up (default: 3600)
+  --snapshot-dir <dir> Also save a dated copy in <dir>, list it in <dir>/index.json
+                       for the "What's new" panel and rebuild <dir>/stars.json for
+                       the star sparklines
+  --keep-snapshots <n> Snapshots to keep in --snapshot-dir, 0 keeps all (default: 90)
+  --help               Show this message
+
+The token is read from $GITHUB_TOKEN or $API_TOKEN.`;
+
+/**
+ * Parse command line arguments into options
+ */
+function parseArgs(argv, env = process.env) {
+  const options = {
+    user: env.GITHUB_USER || '',
+    token: env.GITHUB_TOKEN || env.API_TOKEN || '',
+    apiUrl: env.GITHUB_API_URL || 'https://api.github.com',
+    output: path.join(__dirname, '..', 'data.json'),
+    full: false,
+    perPage: 100,
+    maxRetries: 5,
+    maxWait: 3600,
+    snapshotDir: '',
+    keepSnapshots: 90,
+    help: false
+  };
+
+  const valueFlags = {
+    '--user': (value) => { options.user = value; },
+    '--output': (value) => { options.output = path.resolve(value); },
+    '--api-url': (value) => { options.apiUrl = value; },
+    '--per-page': (value) => { options.perPage = Math.min(100, parsePositiveInteger(value, '--per-page')); },
+    '--max-retries': (value) => { options.maxRetries = parseNonNegativeInteger(value, '--max-retries'); },
+    '--max-wait': (value) => { options.maxWait = parseNonNegativeInteger(value, '--max-wait'); },
+    '--snapshot-dir': (value) => { options.snapshotDir = path.resolve(value); },
+    '--keep-snapshots': (value) => { options.keepSnapshots = parseNonNegativeInteger(value, '--keep-snapshots'); }
+  };
+
+  for (let index = 0; index < argv.length; index++) {
+    const [flag, inlineValue] = argv[index].split(/=(.*)/s);
+
+    if (flag === '--full') {
+      options.full = true;
+    } else if (flag === '--help' || flag === '-h') {
+      options.help = true;
+    } else if (valueFlags[flag]) {
+      const value = inlineValue ?? argv[++index];
+      if (value === undefined) throw new Error(`${flag} needs a value`);
+      valueFlags[flag](value);
+    } else {
+      throw new Error(`Unknown option: ${argv[index]}\n\n${USAGE}`);
+    }
+  }
+
+  options.apiUrl = options.apiUrl.replace(/\/+$/, '');
+  return options;
+}
+
+/**
+ * Parse an integer option that must be at least 1
+ */
+function parsePositiveInteger(value, flag) {
+  const number = Number(value);
+  if (!Number.isInteger(number) || number <= 0) {
+    throw new Error(`${flag} must be a positive integer, got "${value}"`);
+  }
+  return number;
+}
+
+/**
+ * Parse an integer option where 0 is meaningful
+ */
+function parseNonNegativeInteger(value, flag) {
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < 0) {
+    throw new Error(`${flag} must be a non-negative integer, got "${value}"`);
+  }
+  return number;
+}
+
+/**
+ * Wait for a number of milliseconds
+ */
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * How long to wait before retrying a rate-limited response, in milliseconds,
+ * or null when the response is not a rate limit
+ */
+function getRateLimitDelay(response, message = '') {
+  const retryAfter = response.headers.get('retry-after');
+  const remaining = response.headers.get('x-ratelimit-remaining');
+  const reset = response.headers.get('x-ratelimit-reset');
+
+  // Secondary rate limits send Retry-After
+  if (retryAfter !== null && (response.status === 403 || response.status === 429)) {
+    return Math.max(0, Number(retryAfter) * 1000);
+  }
+
+  // Primary rate limit: wait until the window resets
+  if ((response.status === 403 || response.status === 429) && remaining === '0' && reset !== null) {
+    return Math.max(0, Number(reset) * 1000 - Date.now()) + 1000;
+  }
+
+  // Secondary limits without headers; GitHub recommends waiting at least a minute
+  if (response.status === 429 || (response.status === 403 && /rate limit/i.test(message))) {
+    return 60 * 1000;
+  }
+
+  return null;
+}
+
+/**
+ * GET a URL from the API, waiting out rate limits and retrying server and network errors
+ */
+async function requestJson(url, options, log = console.log) {
+  const headers = {
+    Accept: 'application/vnd.github.star+json',
+    'User-Agent': 'awesome-github-repos',
+    'X-GitHub-Api-Version': '2022-11-28'
+  };
+  if (options.token) headers.Authorization = `Bearer ${options.token}`;
+
+  let failures = 0;
+
+  for (;;) {
+    let response;
+    try {
+      response = await fetch(url, { headers });
+    } catch (error) {
+      if (failures >= options.maxRetries) throw new Error(`Request to ${url} failed: ${error.message}`);
+      const delay = 2 ** failures++ * 1000;
+      log(`Network error (${error.message}), retrying in ${delay / 1000}s`);
+      await sleep(delay);
+      continue;
+    }
+
+    if (response.ok) {
+      return { data: await response.json(), headers: response.headers };
+    }
+
+    const body = await response.text();
+    let message = body;
+    try {
+      message = JSON.parse(body).message || body;
+    } catch (error) {
+      // Not JSON; keep the raw body
+    }
+
+    const rateLimitDelay = getRateLimitDelay(response, message);
+    if (rateLimitDelay !== null) {
+      if (rateLimitDelay > options.maxWait * 1000) {
+        throw new Error(`Rate limited for ${Math.ceil(rateLimitDelay / 1000)}s, longer than --max-wait ${options.maxWait}s`);
+      }
+      log(`Rate limited, waiting ${Math.ceil(rateLimitDelay / 1000)}s`);
+      await sleep(rateLimitDelay);
+      continue;
+    }
+
+    if (response.status >= 500 && failures < options.maxRetries) {
+      const delay = 2 ** failures++ * 1000;
+      log(`Server error ${response.status}, retrying in ${delay / 1000}s`);
+      await sleep(delay);
+      continue;
+    }
+
+    throw new Error(`GitHub API responded ${response.status} for ${url}: ${message}`);
+  }
+}
+
+/**
+ * Get the rel="next" URL from a Link header
+ */
+function getNextPageUrl(linkHeader) {
+  if (!linkHeader) return null;
+
+  const next = linkHeader.split(',').find(part => /rel="next"/.test(part));
+  return next ? next.match(/<([^>]+)>/)[1] : null;
+}
+
+/**
+ * Keep the fields the showcase uses and attach starred_at
+ */
+function pickRepository(repo, starredAt) {
+  const picked = {};
+
+  REPOSITORY_FIELDS.forEach(field => {
+    if (repo[field] !== undefined) picked[field] = repo[field];
+  });
+
+  if (repo.owner) {
+    picked.owner = {};
+    OWNER_FIELDS.forEach(field => {
+      if (repo.owner[field] !== undefined) picked.owner[field] = repo.owner[field];
+    });
+  }
+
+  if (starredAt) picked.starred_at = starredAt;
+  return picked;
+}
+
+/**
+ * Fetch stars newest first, stopping early at stars older than `since`
+ */
+async function fetchStarredRepositories(options, since = null, log = console.log) {
+  const starredPath = options.user
+    ? `/users/${encodeURIComponent(options.user)}/starred`
+    : '/user/starred';
+  let url = `${options.apiUrl}${starredPath}?per_page=${options.perPage}&sort=created&direction=desc`;
+  const repositories = [];
+  let page = 0;
+
+  while (url) {
+    const { data, headers } = await requestJson(url, options, log);
+    if (!Array.isArray(data)) throw new Error(`Expected an array of stars from ${url}`);
+
+    page++;
+    let reachedKnownStars = false;
+
+    for (const item of data) {
+      // The star+json media type wraps each repository; plain responses do not
+      const repo = item.repo || item;
+      const starredAt = item.starred_at || null;
+
+      if (since && starredAt && starredAt < since) {
+        reachedKnownStars = true;
+        break;
+      }
+
+      repositories.push(pickRepository(repo, starredAt));
+    }
+
+    log(`Fetched page ${page} (${repositories.length} stars so far)`);
+
+    url = reachedKnownStars ? null : getNextPageUrl(headers.get('link'));
+  }
+
+  return repositories;
+}
+
+/**
+ * Read repositories from an existing data.json, flattened in file order
+ */
+function readRepositories(file) {
+  if (!fs.existsSync(file)) return [];
+
+  const data = JSON.parse(fs.readFileSync(file, 'utf8'));
+  if (Array.isArray(data)) return data;
+
+  return Object.values(data).filter(Array.isArray).flat();
+}
+
+/**
+ * Combine fetched stars with the existing ones. Fetched data wins, but fields only the
+ * existing entry has (such as a cached readme or languages) are kept.
+ */
+function mergeRepositories(fetched, existing, { keepUnfetched }) {
+  const existingById = new Map(existing.map(repo => [repo.id, repo]));
+  const merged = new Map();
+
+  fetched.forEach(repo => {
+    if (!merged.has(repo.id)) merged.set(repo.id, { ...existingById.get(repo.id), ...repo });
+  });
+
+  if (keepUnfetched) {
+    existing.forEach(repo => {
+      if (!merged.has(repo.id)) merged.set(repo.id, repo);
+    });
+  }
+
+  const repositories = Array.from(merged.values());
+
+  // Newest stars first when every entry knows when it was starred
+  if (repositories.every(repo => repo.starred_at)) {
+    repositories.sort((a, b) => b.starred_at.localeCompare(a.starred_at));
+  }
+
+  return repositories;
+}
+
+/**
+ * Group repositories by language; languages appear in the order of their newest star
+ */
+function groupByLanguage(repositories) {
+  const grouped = {};
+
+  repositories.forEach(repo => {
+    const language = repo.language || UNKNOWN_LANGUAGE;
+    if (!grouped[language]) grouped[language] = [];
+    grouped[language].push(repo);
+  });
+
+  return grouped;
+}
+
+/**
+ * Read the snapshot index, newest first
+ */
+function readSnapshotIndex(snapshotDir) {
+  const indexFile = path.join(snapshotDir, 'index.json');
+  if (!fs.existsSync(indexFile)) return [];
+
+  const index = JSON.parse(fs.readFileSync(indexFile, 'utf8'));
+  return (Array.isArray(index.snapshots) ? index.snapshots : [])
+    .filter(entry => entry && entry.date && entry.file)
+    .sort((a, b) => b.date.localeCompare(a.date));
+}
+
+/**
+ * Save today's data as a dated snapshot and update the index the site reads.
+ * Paths in the index are relative to the directory data.json is served from.
+ */
+function writeSnapshot(grouped, options, date = new Date().toISOString().slice(0, 10)) {
+  fs.mkdirSync(options.snapshotDir, { recursive: true });
+
+  const file = path.join(options.snapshotDir, `${date}.json`);
+  fs.writeFileSync(file, JSON.stringify(grouped, null, 2));
+
+  const siteRoot = path.dirname(options.output);
+  const entry = { date, file: path.relative(siteRoot, file).split(path.sep).join('/') };
+  const snapshots = [entry, ...readSnapshotIndex(options.snapshotDir).filter(existing => existing.date !== date)];
+
+  // Drop the oldest snapshots past the limit
+  const kept = options.keepSnapshots > 0 ? snapshots.slice(0, options.keepSnapshots) : snapshots;
+  snapshots.slice(kept.length).forEach(old => {
+    const oldFile = path.resolve(siteRoot, old.file);
+    if (path.dirname(oldFile) === options.snapshotDir && fs.existsSync(oldFile)) fs.unlinkSync(oldFile);
+  });
+
+  fs.writeFileSync(path.join(options.snapshotDir, 'index.json'), JSON.stringify({ snapshots: kept }, null, 2));
+  writeStarHistory(kept, siteRoot, options.snapshotDir);
+  return entry;
+}
+
+/**
+ * Collect the star count of every repository in each snapshot, oldest first.
+ * Counts line up with `dates`; null marks a snapshot the repository was not in.
+ */
+function buildStarHistory(snapshots, siteRoot) {
+  const ordered = [...snapshots].sort((a, b) => a.date.localeCompare(b.date));
+  const stars = {};
+
+  ordered.forEach((snapshot, index) => {
+    const file = path.resolve(siteRoot, snapshot.file);
+    if (!fs.existsSync(file)) return;
+
+    readRepositories(file).forEach(repo => {
+      if (!repo || repo.id === undefined) return;
+      if (!stars[repo.id]) stars[repo.id] = new Array(ordered.length).fill(null);
+      stars[repo.id][index] = repo.stargazers_count || 0;
+    });
+  });
+
+  return { dates: ordered.map(snapshot => snapshot.date), stars };
+}
+
+/**
+ * Write stars.json next to the snapshots so the site can draw sparklines
+ * without downloading every snapshot
+ */
+function writeStarHistory(snapshots, siteRoot, snapshotDir) {
+  const history = buildStarHistory(snapshots, siteRoot);
+  fs.writeFileSync(path.join(snapshotDir, 'stars.json'), JSON.stringify(history));
+  return history;
+}
+
+/**
+ * Run the CLI
+ */
+async function main(argv = process.argv.slice(2), log = console.log) {
+  const options = parseArgs(argv);
+
+  if (options.help) {
+    log(USAGE);
+    return null;
+  }
+
+  if (!options.user && !options.token) {
+    throw new Error('Pass --user <login>, or set GITHUB_TOKEN to fetch the authenticated user\'s stars');
+  }
+
+  const existing = readRepositories(options.output);
+
+  // Incremental refresh stops at the newest star already in the file
+  const canRefreshIncrementally = !options.full && existing.length > 0 &&
+    existing.every(repo => repo.starred_at);
+  const since = canRefreshIncrementally
+    ? existing.reduce((newest, repo) => (repo.starred_at > newest ? repo.starred_at : newest), '')
+    : null;
+
+  if (!options.full && existing.length > 0 && !since) {
+    log('Existing data has no starred_at timestamps, fetching every star');
+  } else if (since) {
+    log(`Fetching stars newer than ${since}`);
+  }
+
+  const fetched = await fetchStarredRepositories(options, since, log);
+  const repositories = mergeRepositories(fetched, existing, { keepUnfetched: Boolean(since) });
+  const grouped = groupByLanguage(repositories);
+
+  fs.writeFileSync(options.output, JSON.stringify(grouped, null, 2));
+
+  const existingIds = new Set(existing.map(repo => repo.id));
+  const added = fetched.filter(repo => !existingIds.has(repo.id)).length;
+  log(`Wrote ${repositories.length} repositories in ${Object.keys(grouped).length} languages to ${options.output} (${added} new)`);
+
+  if (options.snapshotDir) {
+    const snapshot = writeSnapshot(grouped, options);
+    log(`Saved snapshot ${snapshot.file}`);
+  }
+
+  return grouped;
+}
+
+if (require.main === module) {
+  main().catch(error => {
+    console.error(error.message);
+    process.exitCode = 1;
+  });
+}
+
+module.exports = {
+  parseArgs,
+  getRateLimitDelay,
+  getNextPageUrl,
+  pickRepository,
+  fetchStarredRepositories,
+  readRepositories,
+  mergeRepositories,
+  groupByLanguage,
+  readSnapshotIndex,
+  writeSnapshot,
+  buildStarHistory,
+  writeStarHistory,
+  main
+};
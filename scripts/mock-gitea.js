@@ -0,0 +1,166 @@
+#!/usr/bin/env node
+/**
+ * Serve data.json as a Gitea/Forgejo-style starred API for trying the gitea data source
+ * adapter locally
+ *
+ * Answers GET /api/v1/users/<login>/starred?page=<n>&limit=<n> with the repositories
+ * converted to Gitea's field names, so the page can be opened with
+ * ?source=gitea:http://localhost:3030/api/v1/users/<login>/starred
+ *
+ * Usage:
+ *   node scripts/mock-gitea.js [--data data.json] [--port 3030]
+ */
+
+'use strict';
+
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+
+const USAGE = `Usage: node scripts/mock-gitea.js [options]
+
+Options:
+  --data <file>   data.json to serve (default: data.json in the repository root)
+  --port <n>      Port to listen on (default: 3030)
+  --help          Show this message`;
+
+// Gitea caps the page size at 50 by default
+const MAX_LIMIT = 50;
+
+/**
+ * Parse command line arguments into options
+ */
+function parseArgs(argv) {
+  const options = {
+    data: path.join(__dirname, '..', 'data.json'),
+    port: 3030,
+    help: false
+  };
+
+  for (let index = 0; index < argv.length; index++) {
+    const [flag, inlineValue] = argv[index].split(/=(.*)/s);
+
+    if (flag === '--help' || flag === '-h') {
+      options.help = true;
+    } else if (flag === '--data' || flag === '--port') {
+      const value = inlineValue ?? argv[++index];
+      if (value === undefined) throw new Error(`${flag} needs a value`);
+      if (flag === '--data') options.data = path.resolve(value);
+      else options.port = Number(value);
+    } else {
+      throw new Error(`Unknown option: ${argv[index]}\n\n${USAGE}`);
+    }
+  }
+
+  if (!Number.isInteger(options.port) || options.port < 0) {
+    throw new Error('--port must be a non-negative integer');
+  }
+  return options;
+}
+
+/**
+ * Convert a data.json repository to the shape of Gitea's repository API
+ */
+function toGiteaRepository(repo, origin) {
+  const login = repo.owner?.login || repo.full_name.split('/')[0];
+
+  return {
+    id: repo.id,
+    name: repo.name,
+    full_name: repo.full_name,
+    owner: {
+      id: repo.owner?.id || 0,
+      login,
+      username: login,
+      avatar_url: repo.owner?.avatar_url || ''
+    },
+    description: repo.description || '',
+    html_url: `${origin}/${repo.full_name}`,
+    clone_url: `${origin}/${repo.full_name}.git`,
+    website: repo.homepage || '',
+    language: repo.language || '',
+    topics: repo.topics || [],
+    stars_count: repo.stargazers_count || 0,
+    forks_count: repo.forks_count || 0,
+    open_issues_count: repo.open_issues_count || 0,
+    archived: Boolean(repo.archived),
+    created_at: repo.created_at,
+    updated_at: repo.pushed_at || repo.updated_at
+  };
+}
+
+/**
+ * Create the HTTP server answering the starred endpoint
+ */
+function createServer(repositories) {
+  return http.createServer((request, response) => {
+    const url = new URL(request.url, `http://${request.headers.host || 'localhost'}`);
+    const headers = {
+      'Access-Control-Allow-Origin': '*',
+      'Content-Type': 'application/json'
+    };
+
+    if (request.method === 'OPTIONS') {
+      response.writeHead(204, { ...headers, 'Access-Control-Allow-Headers': 'Authorization' });
+      response.end();
+      return;
+    }
+
+    if (request.method !== 'GET' || !/^\/api\/v1\/users\/[^/]+\/starred\/?$/.test(url.pathname)) {
+      response.writeHead(404, headers);
+      response.end(JSON.stringify({ message: 'Not found' }));
+      return;
+    }
+
+    const page = Math.max(1, Number.parseInt(url.searchParams.get('page'), 10) || 1);
+    const limit = Math.min(MAX_LIMIT, Math.max(1, Number.parseInt(url.searchParams.get('limit'), 10) || MAX_LIMIT));
+    const slice = repositories.slice((page - 1) * limit, page * limit);
+
+    response.writeHead(200, { ...headers, 'X-Total-Count': String(repositories.length) });
+    response.end(JSON.stringify(slice.map(repo => toGiteaRepository(repo, url.origin))));
+  });
+}
+
+/**
+ * Read the repositories from a data.json file, flattening language groups
+ */
+function readRepositories(file) {
+  const data = JSON.parse(fs.readFileSync(file, 'utf8'));
+  return Array.isArray(data) ? data : Object.values(data).flat();
+}
+
+/**
+ * Run the CLI
+ */
+function main(argv = process.argv.slice(2)) {
+  const options = parseArgs(argv);
+  if (options.help) {
+    console.log(USAGE);
+    return null;
+  }
+
+  const repositories = readRepositories(options.data);
+  const server = createServer(repositories);
+  server.listen(options.port, () => {
+    const { port } = server.address();
+    console.log(`Serving ${repositories.length} repositories at http://localhost:${port}/api/v1/users/<login>/starred`);
+  });
+  return server;
+}
+
+if (require.main === module) {
+  try {
+    main();
+  } catch (error) {
+    console.error(error.message);
+    process.exitCode = 1;
+  }
+}
+
+module.exports = {
+  parseArgs,
+  toGiteaRepository,
+  createServer,
+  readRepositories,
+  main
+};
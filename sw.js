@@ -0,0 +1,141 @@
+/**
+ * Service worker for the showcase.
+ *
+ * The page and data.json are answered from cache so the site opens instantly and works
+ * offline, then refreshed in the background (stale-while-revalidate). When a refreshed
+ * JSON file differs from the cached copy, open pages get a `data-updated` message so
+ * they can load the newer data. Other same-origin files are cached the same way unless
+ * they carry a query string, which may change the response. Owner avatars are cached
+ * on first use.
+ */
+
+const CACHE_PREFIX = 'awesome-github-repos-';
+const CACHE_VERSION = 'v4';
+const SHELL_CACHE = `${CACHE_PREFIX}shell-${CACHE_VERSION}`;
+const AVATAR_CACHE = `${CACHE_PREFIX}avatars-${CACHE_VERSION}`;
+
+const PRECACHE_URLS = [
+  './',
+  'index.html',
+  'index-simple.html',
+  'repository-core.js',
+  'app.js',
+  'styles.css',
+  'manifest.webmanifest',
+  'assets/favicon.svg',
+  'assets/icon-maskable.svg',
+  'assets/logo-banner.svg',
+  'data.json'
+];
+
+// Shared links carry view state like ?lang=Go&sort=stars that only the page reads, so
+// every query on these files is answered by the one cached copy
+const QUERY_INSENSITIVE_PATHS = new Set(PRECACHE_URLS.map(url => new URL(url, self.location).pathname));
+
+const AVATAR_HOST = 'avatars.githubusercontent.com';
+const AVATAR_LIMIT = 500; // Oldest avatars are dropped beyond this many
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(
+    caches.open(SHELL_CACHE)
+      .then(cache => cache.addAll(PRECACHE_URLS.map(url => new Request(url, { cache: 'reload' }))))
+      .then(() => self.skipWaiting())
+  );
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil(
+    caches.keys()
+      .then(keys => Promise.all(keys
+        .filter(key => key.startsWith(CACHE_PREFIX) && key !== SHELL_CACHE && key !== AVATAR_CACHE)
+        .map(key => caches.delete(key))))
+      .then(() => self.clients.claim())
+  );
+});
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  if (request.method !== 'GET') return;
+
+  const url = new URL(request.url);
+  if (url.hostname === AVATAR_HOST) {
+    event.respondWith(cacheFirstAvatar(request));
+  } else if (url.origin === self.location.origin) {
+    // Anything else with a query string, like a paged data source, goes to the network
+    if (url.search && !QUERY_INSENSITIVE_PATHS.has(url.pathname)) return;
+    event.respondWith(staleWhileRevalidate(event, url));
+  }
+});
+
+/**
+ * Answer from cache and refresh the cached copy in the background. Only requests without
+ * a query string or for QUERY_INSENSITIVE_PATHS get here, so the key can drop the query.
+ */
+async function staleWhileRevalidate(event, url) {
+  const cache = await caches.open(SHELL_CACHE);
+  const cacheKey = `${url.origin}${url.pathname}`;
+  const cached = await cache.match(cacheKey);
+
+  const refresh = fetch(event.request).then(async (response) => {
+    if (!response.ok) return response;
+
+    const changed = cached && url.pathname.endsWith('.json') && await hasChanged(cached, response.clone());
+    await cache.put(cacheKey, response.clone());
+    if (changed) await notifyClients({ type: 'data-updated', url: cacheKey });
+    return response;
+  });
+
+  if (!cached) return refresh;
+
+  event.waitUntil(refresh.catch(() => {}));
+  return cached;
+}
+
+/**
+ * Compare a cached response with a fresh one, by ETag when both have it
+ */
+async function hasChanged(cached, fresh) {
+  const cachedTag = cached.headers.get('ETag');
+  const freshTag = fresh.headers.get('ETag');
+  if (cachedTag && freshTag) return cachedTag !== freshTag;
+
+  const [cachedText, freshText] = await Promise.all([cached.clone().text(), fresh.text()]);
+  return cachedText !== freshText;
+}
+
+/**
+ * Tell every open page about a change
+ */
+async function notifyClients(message) {
+  const clients = await self.clients.matchAll({ type: 'window' });
+  clients.forEach(client => client.postMessage(message));
+}
+
+/**
+ * Serve avatars from cache, fetching them with CORS so the cached copies are readable
+ * responses rather than opaque ones, which count heavily against storage quota.
+ */
+async function cacheFirstAvatar(request) {
+  const cache = await caches.open(AVATAR_CACHE);
+  const cached = await cache.match(request);
+  if (cached) return cached;
+
+  try {
+    const response = await fetch(request.url, { mode: 'cors', credentials: 'omit' });
+    if (response.ok) {
+      await cache.put(request, response.clone());
+      trimCache(cache, AVATAR_LIMIT);
+    }
+    return response;
+  } catch (error) {
+    return fetch(request);
+  }
+}
+
+/**
+ * Drop the oldest entries beyond a limit
+ */
+async function trimCache(cache, limit) {
+  const keys = await cache.keys();
+  await Promise.all(keys.slice(0, Math.max(0, keys.length - limit)).map(key => cache.delete(key)));
+}
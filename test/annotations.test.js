@@ -0,0 +1,50 @@
+'use strict';
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { JSDOM } = require('jsdom');
+
+const GitHubShowcase = require('../app.js');
+
+const showcase = new GitHubShowcase();
+
+test('annotations keep numeric, imported and Gitea repository ids', () => {
+  const annotations = showcase.parseAnnotationsPayload({
+    version: 1,
+    annotations: {
+      42: { note: 'numeric' },
+      'imported:tokio-rs/tokio': { tags: 'Async, async' },
+      'gitea.example.com:7': { rating: 4 },
+      '': { note: 'no id' },
+      'empty:1': { note: ' ' },
+      'junk:1': 'not an object'
+    }
+  });
+
+  assert.deepEqual(Object.keys(annotations).sort(), ['42', 'gitea.example.com:7', 'imported:tokio-rs/tokio']);
+  assert.deepEqual(annotations['imported:tokio-rs/tokio'].tags, ['async']);
+  assert.equal(annotations['gitea.example.com:7'].rating, 4);
+});
+
+test('a bare id -> annotation map is accepted like the export format', () => {
+  const annotations = showcase.parseAnnotationsPayload({ 'imported:a/b': { note: 'bare' } });
+
+  assert.equal(annotations['imported:a/b'].note, 'bare');
+  assert.throws(() => showcase.parseAnnotationsPayload(null), /must be a JSON object/);
+  assert.throws(() => showcase.parseAnnotationsPayload({ version: 99 }), /newer than this app supports/);
+});
+
+test('the edit button label is escaped for its attribute', () => {
+  const { window } = new JSDOM('');
+  globalThis.document = window.document;
+
+  try {
+    const container = window.document.createElement('div');
+    container.innerHTML = showcase.createAnnotationMarkup({ id: 'imported:x/"quoted"', full_name: 'x/"quoted" & <b>' });
+
+    assert.equal(container.querySelector('.annotation-edit-btn').getAttribute('aria-label'), 'Add notes for x/"quoted" & <b>');
+  } finally {
+    delete globalThis.document;
+    window.close();
+  }
+});
@@ -0,0 +1,177 @@
+'use strict';
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+const RepositoryCore = require('../repository-core.js');
+const { createServer } = require('../scripts/mock-gitea.js');
+
+// Served by the mock Gitea server in data.json shape, newest star first
+const REPOSITORIES = [1, 2, 3, 4, 5].map(id => ({
+  id,
+  name: `repo-${id}`,
+  full_name: `gitea-user/repo-${id}`,
+  owner: { login: 'gitea-user' },
+  language: id % 2 ? 'Go' : null,
+  stargazers_count: id * 10,
+  created_at: '2024-01-01T00:00:00Z',
+  updated_at: '2024-02-01T00:00:00Z'
+}));
+
+let server;
+let origin;
+let host;
+let requests = [];
+
+before(async () => {
+  server = createServer(REPOSITORIES);
+  server.on('request', request => requests.push(request.url));
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  host = `127.0.0.1:${server.address().port}`;
+  origin = `http://${host}`;
+
+  // loadGiteaStars resolves endpoints against the page URL
+  globalThis.window = { location: { href: `${origin}/index.html` } };
+});
+
+after(() => {
+  delete globalThis.window;
+  return new Promise(resolve => server.close(resolve));
+});
+
+function createCore() {
+  requests = [];
+  const core = new RepositoryCore();
+  core.giteaPageSize = 2;
+  return core;
+}
+
+const byName = repos => Object.fromEntries(repos.map(repo => [repo.full_name, repo]));
+
+test('parseJsonLines accepts repositories and { starred_at, repo } items and skips blank lines', () => {
+  const core = createCore();
+  const repos = core.parseJsonLines([
+    '{"id": 1, "full_name": "a/b"}',
+    '',
+    '  {"starred_at": "2024-05-01T00:00:00Z", "repo": {"id": 2, "full_name": "c/d", "starred_at": "ignored"}}\r',
+    '{"id": 3, "repo": "not an object"}'
+  ].join('\n'));
+
+  assert.deepEqual(repos.map(repo => repo.id), [1, 2, 3]);
+  assert.equal(repos[1].starred_at, '2024-05-01T00:00:00Z');
+  assert.equal(repos[2].repo, 'not an object');
+});
+
+test('parseJsonLines reports the line number of invalid JSON', () => {
+  const core = createCore();
+
+  assert.throws(() => core.parseJsonLines('{"id": 1}\n\n{"id": 2,\n{"id": 3}'), /line 3 is not valid JSON/);
+});
+
+test('loadGiteaStars pages through the endpoint and maps Gitea fields', async () => {
+  const core = createCore();
+  const repos = await core.loadGiteaStars('/api/v1/users/alice/starred');
+
+  // Three pages of two; the short last page ends paging
+  assert.equal(requests.length, 3);
+  assert.ok(requests.every(url => /[?&]limit=2(&|$)/.test(url)));
+  assert.deepEqual(repos.map(repo => repo.id), [1, 2, 3, 4, 5].map(id => `${host}:${id}`));
+
+  const [first] = repos;
+  assert.equal(first.full_name, 'gitea-user/repo-1');
+  assert.equal(first.stargazers_count, 10);
+  assert.equal(first.html_url, `${origin}/gitea-user/repo-1`);
+  assert.equal(first.clone_url, `${origin}/gitea-user/repo-1.git`);
+  assert.equal(first.owner.login, 'gitea-user');
+  assert.equal(first.owner.html_url, `${origin}/gitea-user`);
+  assert.equal(first.pushed_at, '2024-02-01T00:00:00Z');
+  assert.equal(repos[1].language, null);
+});
+
+test('fromGiteaRepository falls back to the username and builds missing URLs', () => {
+  const core = createCore();
+  const repo = core.fromGiteaRepository(
+    { id: 9, name: 'tool', owner: { username: 'bob' }, website: 'https://tool.dev', topics: 'bad' },
+    new URL('https://codeberg.org/api/v1/users/bob/starred')
+  );
+
+  assert.equal(repo.id, 'codeberg.org:9');
+  assert.equal(repo.full_name, 'bob/tool');
+  assert.equal(repo.html_url, 'https://codeberg.org/bob/tool');
+  assert.equal(repo.owner.html_url, 'https://codeberg.org/bob');
+  assert.equal(repo.homepage, 'https://tool.dev');
+  assert.deepEqual(repo.topics, []);
+  assert.equal(repo.archived, false);
+});
+
+test('loadDataSources dedupes repositories starred in several sources and records who starred them', async () => {
+  const core = createCore();
+  const merged = await core.loadDataSources([
+    { label: 'alice', type: 'gitea', url: '/api/v1/users/alice/starred' },
+    { label: 'bob', type: 'gitea', url: `${origin}/api/v1/users/bob/starred` }
+  ]);
+  const repos = Object.values(merged).flat();
+
+  assert.equal(repos.length, REPOSITORIES.length);
+  assert.ok(repos.every(repo => repo.starred_by.join() === 'alice,bob'));
+  assert.deepEqual(Object.keys(merged), ['Go', 'miscellaneous']);
+});
+
+test('loadDataSources keeps the sources that load when another one fails', async () => {
+  const core = createCore();
+  const warnings = [];
+  core.showToast = message => warnings.push(message);
+  const warn = console.warn;
+  console.warn = () => {};
+
+  try {
+    const merged = await core.loadDataSources([
+      { label: 'alice', type: 'gitea', url: '/api/v1/users/alice/starred' },
+      { label: 'broken', type: 'gitea', url: '/api/v1/nowhere' }
+    ]);
+
+    assert.equal(Object.values(merged).flat().length, REPOSITORIES.length);
+    assert.deepEqual(warnings, ['Could not load stars for broken']);
+  } finally {
+    console.warn = warn;
+  }
+});
+
+test('mergeDataSources keeps the first copy of a repository and the newest starred_at', () => {
+  const core = createCore();
+  const merged = core.mergeDataSources([
+    {
+      source: { label: 'alice' },
+      data: {
+        Rust: [
+          { id: 1, full_name: 'a/one', description: 'from alice', starred_at: '2024-01-01T00:00:00Z' },
+          { id: 2, full_name: 'a/two' },
+          null,
+          { full_name: 'no/id' }
+        ],
+        Broken: 'not a list'
+      }
+    },
+    {
+      source: { label: 'bob' },
+      data: [
+        { id: 1, full_name: 'a/one', language: 'Go', description: 'from bob', starred_at: '2024-03-01T00:00:00Z' },
+        { id: 2, full_name: 'a/two', starred_at: '2023-01-01T00:00:00Z' },
+        { id: 3, full_name: 'b/three' }
+      ]
+    },
+    { source: { label: 'alice' }, data: [{ id: 1, full_name: 'a/one', starred_at: '2023-06-01T00:00:00Z' }] }
+  ]);
+
+  assert.deepEqual(Object.keys(merged), ['Rust', 'miscellaneous']);
+  const repos = byName(Object.values(merged).flat());
+  assert.equal(Object.keys(repos).length, 3);
+
+  // The first source decides the fields and language group; starred_by lists each label once
+  assert.equal(repos['a/one'].description, 'from alice');
+  assert.deepEqual(merged.Rust.map(repo => repo.id), [1, 2]);
+  assert.deepEqual(repos['a/one'].starred_by, ['alice', 'bob']);
+  assert.equal(repos['a/one'].starred_at, '2024-03-01T00:00:00Z');
+  assert.equal(repos['a/two'].starred_at, '2023-01-01T00:00:00Z');
+  assert.deepEqual(repos['b/three'].starred_by, ['bob']);
+});
@@ -0,0 +1,112 @@
+'use strict';
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const GitHubShowcase = require('../app.js');
+
+const showcase = new GitHubShowcase();
+
+// Normalized like the filtered view the export menu serializes
+const repositories = showcase.normalizeRepositoryData([
+  {
+    id: 1,
+    name: 'tokio',
+    full_name: 'tokio-rs/tokio',
+    owner: { login: 'tokio-rs' },
+    html_url: 'https://github.com/tokio-rs/tokio',
+    description: 'A runtime for writing reliable, asynchronous applications with "Rust"',
+    language: 'Rust',
+    topics: ['async', 'networking'],
+    stargazers_count: 28000,
+    created_at: '2016-09-09T00:00:00Z',
+    updated_at: '2024-06-01T00:00:00Z',
+    starred_at: '2024-07-01T00:00:00Z',
+    homepage: 'https://tokio.rs'
+  },
+  {
+    id: 2,
+    name: 'formulas',
+    full_name: 'x_y/formulas',
+    owner: { login: 'x_y' },
+    html_url: 'https://github.com/x_y/formulas',
+    description: '=HYPERLINK("http://evil")\nsecond line & 100% {braces}',
+    language: 'Rust',
+    stargazers_count: 5,
+    created_at: '2020-01-01T00:00:00Z',
+    updated_at: '2020-01-01T00:00:00Z'
+  }
+]).repositories;
+const byName = Object.fromEntries(repositories.map(repo => [repo.name, repo]));
+const groups = [['Rust', [byName.tokio, byName.formulas]], ['C++', [byName.tokio]]];
+
+test('Markdown follows the awesome-list layout with a linked table of contents', () => {
+  const markdown = showcase.toMarkdown(groups);
+
+  assert.match(markdown, /^# \[!\[Awesome\]/);
+  assert.match(markdown, /\*   \[Rust\]\(#rust\)\n\*   \[C\+\+\]\(#c\)/);
+  assert.match(markdown, /## Rust\n\n\*   \[tokio-rs\/tokio\]\(https:\/\/github\.com\/tokio-rs\/tokio\) - A runtime/);
+  // Descriptions are kept on one line so list items do not break
+  assert.match(markdown, /\[x_y\/formulas\]\(https:\/\/github\.com\/x_y\/formulas\) - =HYPERLINK\("http:\/\/evil"\) second line/);
+});
+
+test('Markdown anchors repeat like GitHub numbers them', () => {
+  const usedAnchors = new Map();
+
+  assert.equal(showcase.getMarkdownAnchor('Jupyter Notebook', usedAnchors), 'jupyter-notebook');
+  assert.equal(showcase.getMarkdownAnchor('Jupyter Notebook', usedAnchors), 'jupyter-notebook-1');
+  assert.equal(showcase.getMarkdownAnchor('C#', usedAnchors), 'c');
+});
+
+test('CSV quotes separators, quotes and newlines and neutralizes formulas', () => {
+  const csv = showcase.toCsv(groups);
+  const [header, tokio, formulas] = csv.slice(1).split('\r\n');
+
+  assert.ok(csv.startsWith('\ufeffgroup,full_name,'));
+  assert.ok(csv.endsWith('\r\n'));
+  assert.equal(header.split(',').length, 17);
+  assert.equal(
+    tokio,
+    'Rust,tokio-rs/tokio,https://github.com/tokio-rs/tokio,"A runtime for writing reliable, asynchronous applications with ""Rust""",' +
+      'Rust,async networking,28000,,,false,stale,2016-09-09T00:00:00Z,2024-06-01T00:00:00Z,,2024-07-01T00:00:00Z,,https://tokio.rs'
+  );
+  assert.ok(formulas.startsWith('Rust,x_y/formulas,https://github.com/x_y/formulas,"\'=HYPERLINK(""http://evil"")\nsecond line'));
+  // One row per repository in each group it was exported under
+  assert.equal(csv.split('\r\n').filter(line => line.startsWith('C++,')).length, 1);
+});
+
+test('JSON keeps the data.json shape without computed fields', () => {
+  const data = JSON.parse(showcase.toExportJson(groups));
+
+  assert.deepEqual(Object.keys(data), ['Rust', 'C++']);
+  assert.equal(data.Rust[0].full_name, 'tokio-rs/tokio');
+  assert.equal(data.Rust[0].starred_at, '2024-07-01T00:00:00Z');
+  assert.equal('starred_at' in data.Rust[1], false);
+  showcase.exportComputedFields.forEach(field => assert.equal(field in data.Rust[0], false, field));
+});
+
+test('OPML escapes XML and links each repository to its releases feed', () => {
+  const opml = showcase.toOpml([['Rust & C++', [byName.formulas]]]);
+
+  assert.match(opml, /^<\?xml version="1.0" encoding="UTF-8"\?>\n<opml version="2.0">/);
+  assert.match(opml, /<outline text="Rust &amp; C\+\+">/);
+  assert.match(opml, /title="=HYPERLINK\(&quot;http:\/\/evil&quot;\) second line &amp; 100% \{braces\}"/);
+  assert.match(opml, /xmlUrl="https:\/\/github\.com\/x_y\/formulas\/releases\.atom"/);
+});
+
+test('BibTeX escapes LaTeX specials and keeps citation keys unique', () => {
+  const bibtex = showcase.toBibtex(groups);
+
+  assert.match(bibtex, /@misc\{tokio_rs_tokio,/);
+  assert.match(bibtex, /@misc\{tokio_rs_tokio_2,/);
+  assert.match(bibtex, /author = \{x\\_y\},/);
+  assert.match(bibtex, /second line \\& 100\\% \\\{braces\\\}/);
+  assert.match(bibtex, /year = \{2016\},/);
+  assert.match(bibtex, /howpublished = \{\\url\{https:\/\/github\.com\/tokio-rs\/tokio\}\},/);
+});
+
+test('every export format serializes the same groups', () => {
+  Object.entries(showcase.getExportFormats()).forEach(([id, format]) => {
+    assert.ok(format.serialize(groups).includes('tokio-rs/tokio'), id);
+  });
+});
@@ -0,0 +1,162 @@
+'use strict';
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+
+const { parseArgs, fetchStarredRepositories, main } = require('../scripts/fetch-stars.js');
+
+// Six stars, newest first, served two per page like the starred API
+const STARS = [6, 5, 4, 3, 2, 1].map(id => ({
+  starred_at: `2024-01-0${id}T00:00:00Z`,
+  repo: {
+    id,
+    name: `repo-${id}`,
+    full_name: `octocat/repo-${id}`,
+    html_url: `https://github.com/octocat/repo-${id}`,
+    language: id % 2 ? 'JavaScript' : 'Go',
+    stargazers_count: id * 10,
+    owner: { login: 'octocat', id: 1, html_url: 'https://github.com/octocat' }
+  }
+}));
+const PER_PAGE = 2;
+
+let server;
+let apiUrl;
+let requests = [];
+// Responses to send before serving a page normally, e.g. rate limits
+let pending = [];
+
+before(async () => {
+  server = http.createServer((request, response) => {
+    const url = new URL(request.url, apiUrl);
+    requests.push(url.pathname + url.search);
+
+    const next = pending.shift();
+    if (next) {
+      response.writeHead(next.status, next.headers);
+      response.end(JSON.stringify({ message: next.message }));
+      return;
+    }
+
+    const page = Number(url.searchParams.get('page') || 1);
+    const items = STARS.slice((page - 1) * PER_PAGE, page * PER_PAGE);
+    const headers = { 'Content-Type': 'application/json' };
+    if (page * PER_PAGE < STARS.length) {
+      headers.Link = `<${apiUrl}/users/octocat/starred?per_page=${PER_PAGE}&page=${page + 1}>; rel="next", ` +
+        `<${apiUrl}/users/octocat/starred?per_page=${PER_PAGE}&page=3>; rel="last"`;
+    }
+    response.writeHead(200, headers);
+    response.end(JSON.stringify(items));
+  });
+
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  apiUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => new Promise(resolve => server.close(resolve)));
+
+function getArgs(extra = []) {
+  requests = [];
+  pending = [];
+  return ['--user', 'octocat', '--api-url', apiUrl, '--per-page', String(PER_PAGE), ...extra];
+}
+
+function getOptions(extra = []) {
+  return parseArgs(getArgs(extra), {});
+}
+
+const quiet = () => {};
+
+test('parseArgs rejects a zero page size but keeps 0 where it means something', () => {
+  assert.throws(() => parseArgs(['--per-page', '0'], {}), /--per-page must be a positive integer/);
+  assert.throws(() => parseArgs(['--per-page', '-1'], {}), /--per-page must be a positive integer/);
+  assert.equal(parseArgs(['--per-page', '500'], {}).perPage, 100);
+
+  const options = parseArgs(['--keep-snapshots', '0', '--max-retries', '0', '--max-wait=0'], {});
+  assert.equal(options.keepSnapshots, 0);
+  assert.equal(options.maxRetries, 0);
+  assert.equal(options.maxWait, 0);
+  assert.throws(() => parseArgs(['--keep-snapshots', '-1'], {}), /non-negative integer/);
+});
+
+test('follows the Link header through every page', async () => {
+  const repositories = await fetchStarredRepositories(getOptions(), null, quiet);
+
+  assert.deepEqual(repositories.map(repo => repo.id), [6, 5, 4, 3, 2, 1]);
+  assert.equal(repositories[0].starred_at, '2024-01-06T00:00:00Z');
+  assert.deepEqual(requests, [
+    '/users/octocat/starred?per_page=2&sort=created&direction=desc',
+    '/users/octocat/starred?per_page=2&page=2',
+    '/users/octocat/starred?per_page=2&page=3'
+  ]);
+});
+
+test('an incremental run stops at the newest star already saved', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'fetch-stars-'));
+  const output = path.join(dir, 'data.json');
+
+  try {
+    const known = STARS.slice(2).map(star => ({ ...star.repo, starred_at: star.starred_at }));
+    fs.writeFileSync(output, JSON.stringify({ Misc: known }));
+
+    const grouped = await main(getArgs(['--output', output]), quiet);
+
+    // Page 2 reaches stars older than the newest saved one (id 4), so page 3 is never requested
+    assert.equal(requests.length, 2);
+    const ids = Object.values(grouped).flat().map(repo => repo.id).sort();
+    assert.deepEqual(ids, [1, 2, 3, 4, 5, 6]);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('a --full run refreshes the star count of repositories already saved', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'fetch-stars-'));
+  const output = path.join(dir, 'data.json');
+  const stale = repo => repo.id === 2 ? { ...repo, stargazers_count: 1, readme: 'cached' } : repo;
+  const starsOf = grouped => Object.values(grouped).flat().find(repo => repo.id === 2).stargazers_count;
+
+  try {
+    const known = STARS.slice(2).map(star => stale({ ...star.repo, starred_at: star.starred_at }));
+    fs.writeFileSync(output, JSON.stringify({ Misc: known }));
+
+    // Incremental runs only fetch new stars and leave saved entries as they were
+    assert.equal(starsOf(await main(getArgs(['--output', output]), quiet)), 1);
+
+    const grouped = await main(getArgs(['--output', output, '--full']), quiet);
+    const refreshed = Object.values(grouped).flat().find(repo => repo.id === 2);
+    assert.equal(refreshed.stargazers_count, 20);
+    assert.equal(refreshed.readme, 'cached');
+    assert.equal(starsOf(JSON.parse(fs.readFileSync(output, 'utf8'))), 20);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('waits out 403 and 429 rate limits using retry-after', async () => {
+  const options = getOptions();
+  pending = [
+    { status: 429, headers: { 'Retry-After': '0' }, message: 'Too many requests' },
+    { status: 403, headers: { 'Retry-After': '0' }, message: 'You have exceeded a secondary rate limit' }
+  ];
+  const messages = [];
+
+  const repositories = await fetchStarredRepositories(options, null, message => messages.push(message));
+
+  assert.equal(repositories.length, STARS.length);
+  assert.equal(messages.filter(message => /^Rate limited, waiting/.test(message)).length, 2);
+  // Both limited attempts and the retry went to the first page
+  assert.equal(requests.filter(request => !/[?&]page=/.test(request)).length, 3);
+});
+
+test('gives up when retry-after is longer than --max-wait', async () => {
+  const options = getOptions(['--max-wait', '1']);
+  pending = [{ status: 429, headers: { 'Retry-After': '120' }, message: 'Too many requests' }];
+
+  await assert.rejects(fetchStarredRepositories(options, null, quiet), /Rate limited for 120s, longer than --max-wait 1s/);
+  assert.equal(requests.length, 1);
+});
@@ -0,0 +1,134 @@
+'use strict';
+
+const { test, before } = require('node:test');
+const assert = require('node:assert/strict');
+const { JSDOM } = require('jsdom');
+
+const GitHubShowcase = require('../app.js');
+
+const showcase = new GitHubShowcase();
+
+before(() => {
+  // The bookmarks importer parses HTML with the browser's DOMParser
+  globalThis.DOMParser = new JSDOM('').window.DOMParser;
+});
+
+const names = repos => repos.map(repo => repo.full_name);
+
+test('GitHub JSON: plain repositories, star+json items and --paginate output', () => {
+  const page1 = JSON.stringify([
+    { starred_at: '2024-05-01T00:00:00Z', repo: { id: 10, name: 'cli', full_name: 'cli/cli', owner: { login: 'cli' }, stargazers_count: 37000 } },
+    { starred_at: '2024-04-01T00:00:00Z', repo: { id: 11, name: 'gh-dash', owner: { login: 'dlvhdr' } } }
+  ]);
+  const page2 = JSON.stringify([{ id: 12, name: 'lazygit', full_name: 'jesseduffield/lazygit', language: 'Go' }, { id: 13 }, 'junk']);
+
+  const repos = showcase.parseGitHubStarsExport(`${page1}\n${page2}`);
+
+  assert.deepEqual(names(repos), ['cli/cli', 'dlvhdr/gh-dash', 'jesseduffield/lazygit']);
+  assert.equal(repos[0].starred_at, '2024-05-01T00:00:00Z');
+  assert.equal(repos[0].id, 10);
+  assert.equal(repos[0].stargazers_count, 37000);
+  // Missing fields come from the imported defaults
+  assert.equal(repos[1].html_url, 'https://github.com/dlvhdr/gh-dash');
+  assert.equal(repos[2].owner.login, 'jesseduffield');
+  assert.equal(repos[2].owner.html_url, 'https://github.com/jesseduffield');
+});
+
+test('GitHub JSON: a language-keyed object like data.json', () => {
+  const repos = showcase.parseGitHubStarsExport(JSON.stringify({
+    Rust: [{ id: 1, name: 'ripgrep', full_name: 'BurntSushi/ripgrep' }],
+    Go: [{ id: 2, name: 'fzf', full_name: 'junegunn/fzf' }]
+  }));
+
+  assert.deepEqual(names(repos), ['BurntSushi/ripgrep', 'junegunn/fzf']);
+});
+
+test('GitHub JSON: text that is not JSON is rejected', () => {
+  assert.throws(() => showcase.parseGitHubStarsExport('not json'), /not valid JSON/);
+  assert.throws(() => showcase.parseGitHubStarsExport('[{"id": 1}'), /not valid JSON/);
+});
+
+test('awesome Markdown: headings become languages and only repository links count', () => {
+  const markdown = [
+    '# Awesome',
+    '',
+    '## Table of Contents',
+    '*   [Rust](#rust)',
+    '',
+    '## Rust',
+    '',
+    '*   [BurntSushi/ripgrep](https://github.com/BurntSushi/ripgrep) - ripgrep recursively searches directories',
+    '- [sharkdp/fd](https://github.com/sharkdp/fd.git)',
+    '- [Rust topic](https://github.com/topics/rust) - not a repository',
+    '- [Blog](https://example.com/post) - not GitHub',
+    '',
+    '### Miscellaneous',
+    '+ [tldr](https://www.github.com/tldr-pages/tldr "Title") — simplified man pages'
+  ].join('\n');
+
+  const repos = showcase.parseAwesomeMarkdown(markdown);
+
+  assert.deepEqual(names(repos), ['BurntSushi/ripgrep', 'sharkdp/fd', 'tldr-pages/tldr']);
+  assert.equal(repos[0].language, 'Rust');
+  assert.equal(repos[0].description, 'ripgrep recursively searches directories');
+  assert.equal(repos[1].description, '');
+  assert.equal(repos[2].language, undefined);
+  assert.equal(repos[2].description, 'simplified man pages');
+});
+
+test('bookmarks HTML: GitHub repository links with their bookmark date', () => {
+  const html = `<!DOCTYPE NETSCAPE-Bookmark-file-1>
+<META HTTP-EQUIV="Content-Type" CONTENT="text/html; charset=UTF-8">
+<TITLE>Bookmarks</TITLE>
+<DL><p>
+  <DT><H3>Dev</H3>
+  <DL><p>
+    <DT><A HREF="https://github.com/vercel/next.js" ADD_DATE="1700000000">GitHub - vercel/next.js: The React Framework</A>
+    <DT><A HREF="https://github.com/sindresorhus/awesome">sindresorhus/awesome</A>
+    <DT><A HREF="https://github.com/sindresorhus" ADD_DATE="1700000000">sindresorhus</A>
+    <DT><A HREF="https://news.ycombinator.com/">Hacker News</A>
+    <DT><A HREF="https://github.com/a/b">Tom &amp; Jerry&#39;s tools</A>
+  </DL><p>
+</DL><p>`;
+
+  const repos = showcase.parseBookmarksHtml(html);
+
+  assert.deepEqual(names(repos), ['vercel/next.js', 'sindresorhus/awesome', 'a/b']);
+  assert.equal(repos[0].description, 'The React Framework');
+  assert.equal(repos[0].starred_at, '2023-11-14T22:13:20.000Z');
+  assert.equal(repos[1].description, '');
+  assert.equal(repos[1].starred_at, undefined);
+  assert.equal(repos[2].description, 'Tom & Jerry\'s tools');
+});
+
+test('the importer is picked by extension, then by content', () => {
+  assert.equal(showcase.detectStarImporter('', 'stars.JSON'), 'github');
+  assert.equal(showcase.detectStarImporter('', 'README.md'), 'markdown');
+  assert.equal(showcase.detectStarImporter('', 'bookmarks.htm'), 'bookmarks');
+  assert.equal(showcase.detectStarImporter('  [{"id": 1}]', 'stars.txt'), 'github');
+  assert.equal(showcase.detectStarImporter('<!DOCTYPE NETSCAPE-Bookmark-file-1>', ''), 'bookmarks');
+  assert.equal(showcase.detectStarImporter('- [a/b](https://github.com/a/b)', ''), 'markdown');
+});
+
+test('imports only fill in what data.json lacks and keep unknown dates unknown', () => {
+  const data = { Go: [{ id: 1, name: 'fzf', full_name: 'junegunn/fzf', description: 'A fuzzy finder', created_at: '2013-10-23T00:00:00Z' }] };
+  const imported = [
+    showcase.createImportedRepository({ owner: 'JuneGunn', name: 'FZF', description: 'ignored', starredAt: '2024-01-01T00:00:00Z' }),
+    showcase.createImportedRepository({ owner: 'a', name: 'b', language: 'Rust' })
+  ];
+
+  const merged = showcase.mergeImportedRepositories(data, showcase.dedupeRepositories([...imported, imported[1]]));
+
+  assert.deepEqual(Object.keys(merged), ['Go', 'Rust']);
+  assert.equal(merged.Go.length, 1);
+  assert.equal(merged.Go[0].description, 'A fuzzy finder');
+  assert.equal(merged.Go[0].starred_at, '2024-01-01T00:00:00Z');
+  assert.equal(merged.Go[0].created_at, '2013-10-23T00:00:00Z');
+  assert.equal(data.Go[0].starred_at, undefined, 'the loaded data is left untouched');
+
+  const onlyImported = showcase.normalizeRepositoryData(merged).repositories.find(repo => repo.full_name === 'a/b');
+  assert.equal(onlyImported.created_at, null);
+  assert.equal(onlyImported.updated_at, null);
+  assert.equal(onlyImported.relativeTime, 'Unknown');
+  assert.equal(onlyImported.health, 'unknown');
+});
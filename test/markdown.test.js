@@ -0,0 +1,88 @@
+'use strict';
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { JSDOM } = require('jsdom');
+
+const GitHubShowcase = require('../app.js');
+
+const showcase = new GitHubShowcase();
+const REPO_URL = 'https://github.com/a/b';
+
+before(() => {
+  // escapeHtml uses the DOM and getSafeUrl resolves against the page URL
+  const { window } = new JSDOM('', { url: 'https://example.com/' });
+  globalThis.window = window;
+  globalThis.document = window.document;
+});
+
+after(() => {
+  globalThis.window.close();
+  delete globalThis.window;
+  delete globalThis.document;
+});
+
+const inline = text => showcase.renderMarkdownInline(text, REPO_URL);
+
+test('inline Markdown renders code, emphasis, strikethrough, links and images', () => {
+  assert.equal(
+    inline('`a*b*` **bold** *em* _em_ ~~gone~~ snake_case_name'),
+    '<code>a*b*</code> <strong>bold</strong> <em>em</em> <em>em</em> <del>gone</del> snake_case_name'
+  );
+  assert.equal(
+    inline('[docs](docs/README.md) ![logo](logo.png "Logo")'),
+    '<a href="https://github.com/a/b/blob/HEAD/docs/README.md" target="_blank" rel="noopener noreferrer">docs</a> ' +
+      '<img src="https://github.com/a/b/raw/HEAD/logo.png" alt="logo" loading="lazy">'
+  );
+});
+
+test('image alt text is escaped exactly once', () => {
+  assert.equal(
+    inline('![Tom & "Jerry" <3](https://example.com/x.png)'),
+    '<img src="https://example.com/x.png" alt="Tom &amp; &quot;Jerry&quot; &lt;3" loading="lazy">'
+  );
+});
+
+test('underscores and asterisks in URLs are not turned into emphasis', () => {
+  const html = inline('[*a* guide](https://example.com/my_cool_page?x=*y*) and ![badge](https://img.shields.io/a_b_c*d*.svg)');
+
+  assert.equal(
+    html,
+    '<a href="https://example.com/my_cool_page?x=*y*" target="_blank" rel="noopener noreferrer"><em>a</em> guide</a> and ' +
+      '<img src="https://img.shields.io/a_b_c*d*.svg" alt="badge" loading="lazy">'
+  );
+});
+
+test('unsafe links keep their label and unsafe images are dropped', () => {
+  assert.equal(inline('[click](javascript:alert%281%29) ![x](javascript:alert%281%29)'), 'click ');
+  assert.equal(inline('<script>alert(1)</script>'), '&lt;script&gt;alert(1)&lt;/script&gt;');
+});
+
+test('block Markdown renders headings, lists, quotes and fenced code', () => {
+  const html = showcase.renderMarkdown([
+    '# Title',
+    '',
+    'Some _text_',
+    'continues.',
+    '',
+    '- one',
+    '- two',
+    '',
+    '1. first',
+    '',
+    '> quoted',
+    '',
+    '```',
+    '<b>*kept*</b>',
+    '```'
+  ].join('\n'), REPO_URL);
+
+  assert.equal(html, [
+    '<h3>Title</h3>',
+    '<p>Some <em>text</em> continues.</p>',
+    '<ul><li>one</li><li>two</li></ul>',
+    '<ol><li>first</li></ol>',
+    '<blockquote>quoted</blockquote>',
+    '<pre><code>&lt;b&gt;*kept*&lt;/b&gt;</code></pre>'
+  ].join('\n'));
+});
@@ -0,0 +1,138 @@
+'use strict';
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { JSDOM } = require('jsdom');
+
+const ROOT = path.join(__dirname, '..');
+const DATA = {
+  Rust: [{ id: 1, name: 'ripgrep', full_name: 'BurntSushi/ripgrep', owner: { login: 'BurntSushi' }, language: 'Rust', stargazers_count: 50000 }],
+  Go: [{ id: 2, name: 'fzf', full_name: 'junegunn/fzf', owner: { login: 'junegunn' }, language: 'Go', stargazers_count: 70000 }]
+};
+
+const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Open a page in jsdom with its scripts inlined and data.json served from DATA
+ */
+async function loadPage(page, { search = '', preferences } = {}) {
+  const html = fs.readFileSync(path.join(ROOT, page), 'utf8')
+    .replace(/<script src="([^"]+)"><\/script>/g, (tag, src) => `<script>${fs.readFileSync(path.join(ROOT, src), 'utf8')}</script>`);
+
+  const dom = new JSDOM(html, {
+    url: `https://example.com/${page}${search}`,
+    runScripts: 'dangerously',
+    pretendToBeVisual: true,
+    beforeParse(window) {
+      if (preferences) window.localStorage.setItem('awesome-github-repos:preferences', JSON.stringify(preferences));
+      window.fetch = async url => String(url).split('?')[0].endsWith('data.json')
+        ? { ok: true, status: 200, headers: { get: () => null }, json: async () => DATA, text: async () => JSON.stringify(DATA) }
+        : { ok: false, status: 404, headers: { get: () => null }, json: async () => ({}), text: async () => '' };
+      window.IntersectionObserver = class { observe() {} unobserve() {} disconnect() {} };
+      window.matchMedia = () => ({ matches: false, addEventListener() {}, removeEventListener() {} });
+      window.scrollTo = () => {};
+      window.Element.prototype.scrollIntoView = () => {};
+      window.console.log = () => {};
+    }
+  });
+
+  await new Promise(resolve => dom.window.addEventListener('load', resolve));
+  await wait(50);
+  return dom.window;
+}
+
+test('saved preferences apply on the first load of a URL without state', async () => {
+  const window = await loadPage('index.html', { preferences: { version: 4, values: { sortBy: 'stars' } } });
+
+  try {
+    assert.equal(window.showcase.state.sortBy, 'stars');
+  } finally {
+    window.close();
+  }
+});
+
+test('going back to the bare URL restores defaults instead of saved preferences', async () => {
+  const window = await loadPage('index.html');
+  const sortSelect = window.document.getElementById('sortSelect');
+
+  try {
+    // Picking a sort saves it as a preference and pushes ?sort=stars
+    sortSelect.value = 'stars';
+    sortSelect.dispatchEvent(new window.Event('change'));
+    await wait(400);
+    assert.equal(window.location.search, '?sort=stars');
+    assert.match(window.localStorage.getItem('awesome-github-repos:preferences'), /"sortBy":"stars"/);
+
+    const popped = new Promise(resolve => window.addEventListener('popstate', resolve, { once: true }));
+    window.history.back();
+    await popped;
+
+    assert.equal(window.location.search, '');
+    assert.equal(window.showcase.state.sortBy, 'relevance');
+    assert.equal(sortSelect.value, 'relevance');
+  } finally {
+    window.close();
+  }
+});
+
+test('the detail drawer drops unsafe repository and owner URLs', async () => {
+  const window = await loadPage('index.html');
+
+  try {
+    const [repo] = window.showcase.normalizeRepositoryData([{
+      id: 3,
+      name: 'evil',
+      full_name: 'mallory/evil',
+      html_url: 'javascript:alert(1)',
+      owner: { login: 'mallory', html_url: 'javascript:alert(2)', avatar_url: 'data:image/svg+xml,<svg onload=alert(3)>' },
+      stargazers_count: 1
+    }]).repositories;
+    const container = window.document.createElement('div');
+    container.innerHTML = window.showcase.createRepositoryDetailMarkup(repo);
+
+    assert.equal(container.querySelector('.detail-owner img').getAttribute('src'), '');
+    assert.equal(container.querySelector('.detail-owner a').getAttribute('href'), '#');
+    assert.equal(container.querySelector('.detail-link').getAttribute('href'), '#');
+    assert.doesNotMatch(container.innerHTML, /javascript:|data:/);
+  } finally {
+    window.close();
+  }
+});
+
+test('the simple page shows search errors inline and keeps the last valid results', async () => {
+  const window = await loadPage('index-simple.html', { search: '?q=stars%3Alots' });
+  const { document } = window;
+  const searchInput = document.getElementById('searchInput');
+  const searchError = document.getElementById('searchError');
+  const resultCount = document.getElementById('resultCount');
+  const search = async value => {
+    searchInput.value = value;
+    searchInput.dispatchEvent(new window.Event('input'));
+    await wait(400);
+  };
+
+  try {
+    // An invalid query in the URL stays in the box with its error but is not applied
+    assert.equal(searchInput.value, 'stars:lots');
+    assert.equal(searchError.hidden, false);
+    assert.match(searchError.textContent, /Invalid star count "lots"/);
+    assert.equal(searchError.getAttribute('role'), 'alert');
+    assert.equal(searchInput.getAttribute('aria-invalid'), 'true');
+    assert.equal(resultCount.textContent, '2 of 2 repositories');
+
+    await search('fzf');
+    assert.equal(searchError.hidden, true);
+    assert.equal(searchError.textContent, '');
+    assert.equal(searchInput.getAttribute('aria-invalid'), 'false');
+    assert.equal(window.location.search, '?q=fzf');
+
+    await search('"unclosed');
+    assert.match(searchError.textContent, /Missing closing quote/);
+    assert.equal(window.location.search, '?q=fzf');
+    assert.equal(resultCount.textContent, '1 of 2 repositories');
+  } finally {
+    window.close();
+  }
+});
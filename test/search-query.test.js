@@ -0,0 +1,169 @@
+'use strict';
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const RepositoryCore = require('../repository-core.js');
+
+const REPOSITORIES = [
+  {
+    id: 1,
+    name: 'react',
+    full_name: 'facebook/react',
+    owner: { login: 'facebook' },
+    description: 'The library for web and native user interfaces',
+    language: 'JavaScript',
+    topics: ['ui', 'frontend'],
+    stargazers_count: 230000,
+    created_at: '2013-05-24T16:15:54Z',
+    updated_at: '2024-06-01T00:00:00Z'
+  },
+  {
+    id: 2,
+    name: 'inferno',
+    full_name: 'infernojs/inferno',
+    owner: { login: 'infernojs' },
+    description: 'An extremely fast, React-like library for building modern user interfaces',
+    language: 'JavaScript',
+    topics: ['virtual-dom'],
+    stargazers_count: 37000,
+    created_at: '2015-09-11T02:40:18Z',
+    updated_at: '2023-02-10T00:00:00Z'
+  },
+  {
+    id: 3,
+    name: 'gin',
+    full_name: 'gin-gonic/gin',
+    owner: { login: 'gin-gonic' },
+    description: 'Gin is a HTTP web framework written in Go',
+    language: 'Go',
+    topics: ['framework', 'router'],
+    stargazers_count: 80000,
+    created_at: '2014-06-16T23:57:25Z',
+    updated_at: '2024-01-15T00:00:00Z'
+  }
+];
+
+function createCore() {
+  const core = new RepositoryCore();
+  core.state.repositories = core.processRepositoryData(REPOSITORIES);
+  return core;
+}
+
+function search(core, query) {
+  return core.performAdvancedSearch(core.state.repositories, query).map(repo => repo.name);
+}
+
+test('free text, phrases and negation', () => {
+  const core = createCore();
+  const { groups, error } = core.parseSearchQuery('React -"virtual dom" web');
+
+  assert.equal(error, null);
+  assert.deepEqual(groups, [[
+    { type: 'text', value: 'react', negate: false, phrase: false },
+    { type: 'text', value: 'virtual dom', negate: true, phrase: true },
+    { type: 'text', value: 'web', negate: false, phrase: false }
+  ]]);
+});
+
+test('OR splits the query into groups and must sit between terms', () => {
+  const core = createCore();
+
+  assert.deepEqual(core.parseSearchQuery('lang:go OR topic:ui').groups, [
+    [{ type: 'qualifier', field: 'language', negate: false, op: '=', value: 'go' }],
+    [{ type: 'qualifier', field: 'topic', negate: false, op: '=', value: 'ui' }]
+  ]);
+  assert.match(core.parseSearchQuery('OR react').error, /OR must appear between two search terms/);
+  assert.match(core.parseSearchQuery('react |').error, /OR must appear between two search terms/);
+  assert.match(core.parseSearchQuery('"unclosed phrase').error, /Missing closing quote/);
+});
+
+test('star qualifiers accept comparisons, ranges and k/m suffixes', () => {
+  const core = createCore();
+  const parse = query => core.parseSearchQuery(query).groups[0][0];
+
+  assert.deepEqual(parse('stars:>=5k'), { type: 'qualifier', field: 'stars', negate: false, op: '>=', value: 5000 });
+  assert.deepEqual(parse('stars:1.5k..2m'), { type: 'qualifier', field: 'stars', negate: false, op: 'range', min: 1500, max: 2000000 });
+  assert.deepEqual(parse('stars:100..*'), { type: 'qualifier', field: 'stars', negate: false, op: 'range', min: 100, max: Infinity });
+  assert.match(core.parseSearchQuery('stars:lots').error, /Invalid star count "lots"/);
+  assert.match(core.parseSearchQuery('stars:').error, /Qualifier "stars:" needs a value/);
+});
+
+test('a bare date matches its whole year, month or day', () => {
+  const core = createCore();
+  const parse = query => core.parseSearchQuery(query).groups[0][0];
+
+  assert.deepEqual(parse('created:2024'), {
+    type: 'qualifier', field: 'created_at', negate: false, op: 'range',
+    value: Date.UTC(2024, 0, 1), min: Date.UTC(2024, 0, 1), max: Date.UTC(2025, 0, 1) - 1
+  });
+  assert.equal(parse('updated:2024-02').max, Date.UTC(2024, 2, 1) - 1);
+  assert.equal(parse('starred:2024-02-29').max, Date.UTC(2024, 2, 1) - 1);
+  assert.deepEqual(parse('updated:<2024-01-01'), { type: 'qualifier', field: 'updated_at', negate: false, op: '<', value: Date.UTC(2024, 0, 1) });
+});
+
+test('impossible dates are rejected instead of rolling over', () => {
+  const core = createCore();
+
+  assert.match(core.parseSearchQuery('created:2024-13-45..2024-02-30').error, /Invalid date "2024-13-45..2024-02-30"/);
+  assert.match(core.parseSearchQuery('created:2023-02-29').error, /Invalid date/);
+  assert.match(core.parseSearchQuery('updated:2024-00').error, /Invalid date/);
+  assert.match(core.parseSearchQuery('updated:yesterday').error, /Invalid date/);
+  assert.equal(core.parseSearchQuery('updated:2024-02-29').error, null);
+});
+
+test('unknown key:value words are searched as text', () => {
+  const core = createCore();
+
+  assert.deepEqual(core.parseSearchQuery('https://github.com/gin-gonic/gin c++: -foo:bar').groups, [[
+    { type: 'text', value: 'https://github.com/gin-gonic/gin', negate: false, phrase: false },
+    { type: 'text', value: 'c++:', negate: false, phrase: false },
+    { type: 'text', value: 'foo:bar', negate: true, phrase: false }
+  ]]);
+  assert.equal(core.parseSearchQuery('constructor:x').groups[0][0].type, 'text');
+  // A colon inside quotes never starts a qualifier
+  assert.equal(core.parseSearchQuery('"lang:go"').groups[0][0].type, 'text');
+});
+
+test('qualifiers filter repositories', () => {
+  const core = createCore();
+
+  assert.deepEqual(search(core, 'lang:go'), ['gin']);
+  assert.deepEqual(search(core, 'lang:javascript stars:<100k').sort(), ['inferno']);
+  assert.deepEqual(search(core, 'owner:facebook OR topic:router').sort(), ['gin', 'react']);
+  assert.deepEqual(search(core, '-lang:javascript'), ['gin']);
+  assert.deepEqual(search(core, 'updated:2024').sort(), ['gin', 'react']);
+  assert.deepEqual(search(core, 'created:<2014-01-01'), ['react']);
+});
+
+test('BM25 ranks name matches above description matches', () => {
+  const core = createCore();
+  const results = core.performAdvancedSearch(core.state.repositories, 'react');
+
+  assert.deepEqual(results.map(repo => repo.name), ['react', 'inferno']);
+  assert.ok(results[0].searchScore > results[1].searchScore);
+});
+
+test('BM25 matches typos and prefixes with a lower score', () => {
+  const core = createCore();
+  const exact = core.performAdvancedSearch(core.state.repositories, 'framework')[0];
+  const exactScore = exact.searchScore;
+  const typo = core.performAdvancedSearch(core.state.repositories, 'framwork')[0];
+  const prefix = core.performAdvancedSearch(core.state.repositories, 'framew')[0];
+
+  assert.equal(exact.name, 'gin');
+  assert.equal(typo.name, 'gin');
+  assert.equal(prefix.name, 'gin');
+  assert.ok(typo.searchScore < exactScore);
+  assert.ok(prefix.searchScore < exactScore);
+  assert.deepEqual(search(core, 'qwertyuiop'), []);
+});
+
+test('every clause of a group must match and phrases need the exact text', () => {
+  const core = createCore();
+
+  assert.deepEqual(search(core, 'react modern'), ['inferno']);
+  assert.deepEqual(search(core, '"web framework"'), ['gin']);
+  assert.deepEqual(search(core, '"framework web"'), []);
+  assert.deepEqual(search(core, 'https://github.com/gin-gonic/gin'), []);
+});
@@ -0,0 +1,97 @@
+'use strict';
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const GitHubShowcase = require('../app.js');
+const { writeSnapshot, readSnapshotIndex } = require('../scripts/fetch-stars.js');
+
+const repo = (id, fields = {}) => ({
+  id,
+  name: `repo-${id}`,
+  full_name: `owner/repo-${id}`,
+  owner: { login: 'owner' },
+  stargazers_count: 100,
+  archived: false,
+  ...fields
+});
+
+function diff(before, after) {
+  const showcase = new GitHubShowcase();
+  const normalize = repos => showcase.normalizeRepositoryData(repos).repositories;
+  return showcase.diffSnapshots(normalize(before), normalize(after));
+}
+
+const ids = entries => entries.map(entry => (entry.repo || entry).id).sort();
+
+test('the snapshot index accepts dates or entries and lists the newest first', () => {
+  const showcase = new GitHubShowcase();
+
+  assert.deepEqual(showcase.parseSnapshotIndex({
+    snapshots: ['2024-01-02', { date: '2024-03-01', file: 'snapshots/2024-03-01.json', extra: true }, { date: 5 }, null]
+  }), [
+    { date: '2024-03-01', file: 'snapshots/2024-03-01.json' },
+    { date: '2024-01-02', file: 'snapshots/2024-01-02.json' }
+  ]);
+  assert.deepEqual(showcase.parseSnapshotIndex({ snapshots: 'nope' }), []);
+  assert.deepEqual(showcase.parseSnapshotIndex(null), []);
+});
+
+test('diffSnapshots finds added and removed repositories', () => {
+  const result = diff([repo(1), repo(2)], [repo(2), repo(3), repo(4)]);
+
+  assert.deepEqual(ids(result.added), [3, 4]);
+  assert.deepEqual(ids(result.removed), [1]);
+});
+
+test('diffSnapshots lists star gains largest first and ignores losses', () => {
+  const result = diff(
+    [repo(1), repo(2), repo(3)],
+    [repo(1, { stargazers_count: 150 }), repo(2, { stargazers_count: 90 }), repo(3, { stargazers_count: 400 })]
+  );
+
+  assert.deepEqual(result.starGains.map(({ repo: { id }, delta }) => [id, delta]), [[3, 300], [1, 50]]);
+});
+
+test('diffSnapshots reports newly archived and renamed repositories', () => {
+  const result = diff(
+    [repo(1), repo(2, { archived: true }), repo(3)],
+    [repo(1, { archived: true }), repo(2, { archived: true }), repo(3, { name: 'renamed', full_name: 'owner/renamed' })]
+  );
+
+  assert.deepEqual(ids(result.archived), [1]);
+  assert.deepEqual(result.renamed.map(({ repo: { id }, previousName }) => [id, previousName]), [[3, 'owner/repo-3']]);
+});
+
+test('an unchanged snapshot has nothing to report', () => {
+  const result = diff([repo(1), repo(2)], [repo(2), repo(1)]);
+
+  assert.deepEqual(Object.values(result).map(list => list.length), [0, 0, 0, 0, 0]);
+});
+
+test('writeSnapshot saves a dated copy, updates the index and prunes old snapshots', () => {
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), 'snapshots-'));
+  const options = { output: path.join(root, 'data.json'), snapshotDir: path.join(root, 'snapshots'), keepSnapshots: 2 };
+
+  try {
+    writeSnapshot({ Go: [repo(1, { stargazers_count: 10 })] }, options, '2024-01-01');
+    writeSnapshot({ Go: [repo(1, { stargazers_count: 20 })] }, options, '2024-01-02');
+    const entry = writeSnapshot({ Go: [repo(1, { stargazers_count: 30 }), repo(2)] }, options, '2024-01-03');
+
+    assert.deepEqual(entry, { date: '2024-01-03', file: 'snapshots/2024-01-03.json' });
+    assert.deepEqual(readSnapshotIndex(options.snapshotDir).map(snapshot => snapshot.date), ['2024-01-03', '2024-01-02']);
+    assert.equal(fs.existsSync(path.join(options.snapshotDir, '2024-01-01.json')), false);
+
+    // Writing the same day again replaces that snapshot instead of adding another
+    writeSnapshot({ Go: [repo(1, { stargazers_count: 35 })] }, options, '2024-01-03');
+    assert.deepEqual(readSnapshotIndex(options.snapshotDir).map(snapshot => snapshot.date), ['2024-01-03', '2024-01-02']);
+
+    const history = JSON.parse(fs.readFileSync(path.join(options.snapshotDir, 'stars.json'), 'utf8'));
+    assert.deepEqual(history, { dates: ['2024-01-02', '2024-01-03'], stars: { 1: [20, 35] } });
+  } finally {
+    fs.rmSync(root, { recursive: true, force: true });
+  }
+});
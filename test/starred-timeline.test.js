@@ -0,0 +1,74 @@
+'use strict';
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const RepositoryCore = require('../repository-core.js');
+
+// In data.json order; "Recent Likes" falls back to this order without starred_at
+const REPOSITORIES = [
+  { id: 1, name: 'old', full_name: 'a/old', owner: { login: 'a' }, starred_at: '2023-11-02T08:00:00Z', stargazers_count: 900 },
+  { id: 2, name: 'undated', full_name: 'a/undated', owner: { login: 'a' }, stargazers_count: 800 },
+  { id: 3, name: 'newest', full_name: 'a/newest', owner: { login: 'a' }, starred_at: '2025-03-10T12:00:00Z', stargazers_count: 10 },
+  { id: 4, name: 'broken', full_name: 'a/broken', owner: { login: 'a' }, starred_at: 'not a date', stargazers_count: 700 },
+  { id: 5, name: 'middle', full_name: 'a/middle', owner: { login: 'a' }, starred_at: '2025-03-01T00:00:00Z', stargazers_count: 20 }
+];
+
+function createCore(state = {}) {
+  const core = new RepositoryCore();
+  const repositories = core.processRepositoryData(REPOSITORIES);
+  core.setState({ repositories, ...state });
+  return core;
+}
+
+const names = repos => repos.map(repo => repo.name);
+
+test('invalid starred_at values are dropped while normalizing', () => {
+  const core = createCore();
+  const byName = Object.fromEntries(core.state.repositories.map(repo => [repo.name, repo]));
+
+  assert.equal(byName.broken.starred_at, null);
+  assert.equal(byName.undated.starred_at, null);
+  assert.equal(byName.newest.starred_at, '2025-03-10T12:00:00Z');
+});
+
+test('Recent Likes sorts newest stars first and keeps data.json order for the rest', () => {
+  const core = createCore({ sortBy: 'recent-likes', sortOrder: 'desc' });
+  assert.deepEqual(names(core.state.filteredRepositories), ['newest', 'middle', 'old', 'undated', 'broken']);
+});
+
+test('Best match without a query orders like Recent Likes', () => {
+  const core = createCore({ sortBy: 'relevance', sortOrder: 'desc' });
+  assert.deepEqual(names(core.state.filteredRepositories), ['newest', 'middle', 'old', 'undated', 'broken']);
+});
+
+test('getStarredMonth gives a sortable key and a readable label', () => {
+  const core = createCore();
+  const month = core.getStarredMonth({ starred_at: '2025-03-10T12:00:00Z' });
+
+  assert.equal(month.key, '2025-03');
+  assert.equal(month.label, 'March 2025');
+  assert.equal(core.getStarredMonth({ starred_at: null }), null);
+});
+
+test('getStarredMonth uses the UTC month whatever the local time zone', () => {
+  const core = createCore();
+  const timeZone = process.env.TZ;
+  // Still February 29th in New York
+  process.env.TZ = 'America/New_York';
+
+  try {
+    assert.deepEqual(core.getStarredMonth({ starred_at: '2024-03-01T00:30:00Z' }), { key: '2024-03', label: 'March 2024' });
+  } finally {
+    if (timeZone === undefined) delete process.env.TZ;
+    else process.env.TZ = timeZone;
+  }
+});
+
+test('the starred: qualifier filters by when a repository was starred', () => {
+  const core = createCore();
+  const search = query => names(core.performAdvancedSearch(core.state.repositories, query)).sort();
+
+  assert.deepEqual(search('starred:2025-03'), ['middle', 'newest']);
+  assert.deepEqual(search('starred:<2025-01-01'), ['old']);
+});
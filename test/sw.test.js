@@ -0,0 +1,101 @@
+'use strict';
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const SOURCE = fs.readFileSync(path.join(__dirname, '..', 'sw.js'), 'utf8');
+const ORIGIN = 'https://example.com';
+
+/**
+ * Run sw.js with in-memory caches and a network that echoes the requested URL
+ */
+function loadServiceWorker() {
+  const handlers = {};
+  const stores = new Map();
+  const network = [];
+
+  const caches = {
+    async open(name) {
+      if (!stores.has(name)) stores.set(name, new Map());
+      const store = stores.get(name);
+      return {
+        match: async key => store.get(String(key.url || key))?.clone(),
+        put: async (key, response) => { store.set(String(key.url || key), response); },
+        keys: async () => Array.from(store.keys()),
+        delete: async key => store.delete(String(key))
+      };
+    },
+    keys: async () => Array.from(stores.keys()),
+    delete: async name => stores.delete(name)
+  };
+
+  const self = {
+    location: new URL(`${ORIGIN}/app/sw.js`),
+    addEventListener: (type, handler) => { handlers[type] = handler; },
+    clients: { matchAll: async () => [], claim: async () => {} },
+    skipWaiting: async () => {}
+  };
+
+  const fetch = async (request) => {
+    const url = String(request.url || request);
+    network.push(url);
+    return new Response(url, { status: 200 });
+  };
+
+  vm.runInNewContext(SOURCE, { self, caches, fetch, URL, Request, Response, Promise, Set, Map });
+
+  /**
+   * Dispatch a fetch event and resolve with the response text, or null when the
+   * worker left the request to the browser
+   */
+  async function request(pathname) {
+    let responded = null;
+    const pending = [];
+    handlers.fetch({
+      request: new Request(`${ORIGIN}${pathname}`),
+      respondWith: response => { responded = response; },
+      waitUntil: promise => pending.push(promise)
+    });
+    const text = responded ? await (await responded).text() : null;
+    await Promise.all(pending);
+    return text;
+  }
+
+  return { request, network, stores };
+}
+
+test('shell pages and data.json share one cached copy across query strings', async () => {
+  const sw = loadServiceWorker();
+
+  assert.equal(await sw.request('/app/index.html?lang=Go'), `${ORIGIN}/app/index.html?lang=Go`);
+  assert.equal(await sw.request('/app/index.html?sort=stars&view=table'), `${ORIGIN}/app/index.html?lang=Go`);
+  assert.equal(await sw.request('/app/data.json?v=1'), `${ORIGIN}/app/data.json?v=1`);
+  assert.equal(await sw.request('/app/data.json'), `${ORIGIN}/app/data.json?v=1`);
+  assert.equal(await sw.request('/app/?q=rust'), `${ORIGIN}/app/?q=rust`);
+  assert.equal(await sw.request('/app/?q=go'), `${ORIGIN}/app/?q=rust`);
+});
+
+test('other requests with a query string bypass the cache', async () => {
+  const sw = loadServiceWorker();
+
+  assert.equal(await sw.request('/app/sources/alice.json?page=1'), null);
+  assert.equal(await sw.request('/app/sources/alice.json?page=2'), null);
+  assert.equal(await sw.request('/app/api/v1/users/alice/starred?page=2&limit=50'), null);
+  assert.deepEqual(sw.network, []);
+
+  const cached = Array.from(sw.stores.values()).flatMap(store => Array.from(store.keys()));
+  assert.deepEqual(cached, []);
+});
+
+test('other same-origin files without a query string are still cached', async () => {
+  const sw = loadServiceWorker();
+
+  assert.equal(await sw.request('/app/snapshots/index.json'), `${ORIGIN}/app/snapshots/index.json`);
+  assert.equal(await sw.request('/app/snapshots/index.json'), `${ORIGIN}/app/snapshots/index.json`);
+  // The second request was answered from cache and refreshed in the background
+  assert.equal(sw.network.length, 2);
+  assert.ok(Array.from(sw.stores.keys()).every(name => name.endsWith('-v4')));
+});